@@ -9,16 +9,28 @@ var os = require('os');
 var port = process.argv[2] || 7553;
 var file = new stc.Server(__dirname + '/public');
 
+/**
+ * The channel manager keeps track of our channels, and routes requests
+ * to them based on the path. Requests for `/channel/<name>` will be
+ * served by the channel with the given name.
+ *
+ * @type {SseChannelManager}
+ */
+var channels = new SseChannel.SseChannelManager();
+channels.route('/channel/:name');
+
 /**
  * This channel will provide system information (load average + free memory)
  * to connected clients once per second. We'll set it to have a history size
  * of 300. Clients should attempt to reconnect after 250ms, if disconnected.
+ * Messages are given increasing IDs automatically, so they end up in the history.
  *
  * @type {SseChannel}
  */
-var sysInfoChannel = new SseChannel({
+var sysInfoChannel = channels.addChannel('sysinfo', {
     retryTimeout: 250,
-    historySize: 300
+    historySize: 300,
+    autoId: 'counter'
 });
 
 /**
@@ -29,22 +41,22 @@ var sysInfoChannel = new SseChannel({
  *
  * @type {SseChannel}
  */
-var randomChannel = new SseChannel({
+var randomChannel = channels.addChannel('random', {
     historySize: 5,
     cors: { origins: ['*'] },
     pingInterval: 60 * 1000,
-    jsonEncode: true
+    serializer: 'json'
 });
 
 /**
  * We can start broadcasting messages even if no clients are connected.
  */
-var sysInfoCounter = 0;
 setInterval(function broadcastSysInfo() {
     // We could combine these two `send()` calls into one, this example
-    // showcases how usage of event names work when subscribing on the client
-    sysInfoChannel.send({ id: ++sysInfoCounter, data: os.freemem(), event: 'freemem' });
-    sysInfoChannel.send({ id: ++sysInfoCounter, data: os.loadavg()[0], event: 'loadavg' });
+    // showcases how usage of event names work when subscribing on the client.
+    // The messages are given IDs by the channel, as `autoId` is enabled
+    sysInfoChannel.send({ data: os.freemem(), event: 'freemem' });
+    sysInfoChannel.send({ data: os.loadavg()[0], event: 'loadavg' });
 }, 250);
 
 setInterval(function broadcastRandomNumber() {
@@ -61,20 +73,13 @@ setInterval(function broadcastRandomNumber() {
 
 // Set up an HTTP server
 http.createServer(function(req, res) {
-    // The '/channel' prefix is not necessary - you can add any client
-    // to an SSE-channel, if you want to.
-    if (req.url.indexOf('/channel/sysinfo') === 0) {
-        // Serve the client using sysinfo SSE-channel
-        sysInfoChannel.addClient(req, res);
-    } else if (req.url.indexOf('/channel/random') === 0) {
-        // Serve the client using random SSE-channel
-        randomChannel.addClient(req, res);
-    } else {
+    // Let the channel manager serve requests matching its routes
+    channels.handleRequest(req, res, function() {
         // Serve static files
         req.addListener('end', function() {
             file.serve(req, res);
         }).resume();
-    }
+    });
 }).listen(port, '127.0.0.1', function() {
     console.log('Listening on http://127.0.0.1:' + port + '/');
 });
@@ -1 +1,18 @@
-module.exports = require('./lib/sse-channel');
+'use strict';
+
+var SseChannel = require('./lib/sse-channel');
+
+SseChannel.SseChannelManager  = require('./lib/sse-channel-manager');
+SseChannel.SseClient          = require('./lib/sse-client');
+SseChannel.MemoryHistoryStore = require('./lib/memory-history-store');
+SseChannel.FileHistoryStore   = require('./lib/file-history-store');
+SseChannel.ClusterAdapter     = require('./lib/cluster-adapter');
+SseChannel.expressMiddleware  = require('./lib/express-middleware');
+SseChannel.koaMiddleware      = require('./lib/koa-middleware');
+SseChannel.fastifyPlugin      = require('./lib/fastify-plugin');
+SseChannel.prometheusHandler  = require('./lib/prometheus-handler');
+SseChannel.SseEventSource     = require('./lib/sse-event-source');
+SseChannel.relay              = require('./lib/relay');
+SseChannel.serializers        = require('./lib/serializers');
+
+module.exports = SseChannel;
@@ -0,0 +1,146 @@
+'use strict';
+
+var _      = require('lodash'),
+    util   = require('util'),
+    stream = require('stream');
+
+/**
+ * Channel write stream
+ *
+ * Object mode writable stream which sends each object written to it on a channel, created by
+ * `SseChannel.prototype.createWriteStream()`. Once a message has been sent, the next object is
+ * not accepted until every client has written it. If the channel limits how much data may wait
+ * to be written to clients (`maxBufferedBytes`), the slow client policy of the channel deals with
+ * clients that can't keep up instead, so they don't hold back the others.
+ *
+ * @param {SseChannel}     channel            Channel to send messages on
+ * @param {Object}         opts               Options for the stream
+ * @param {String}         opts.event         Name of the event for objects that don't specify one
+ * @param {Function}       opts.map           Function which turns an object into the message to send,
+ *                                            see `SseChannel.prototype.send()`. By default, objects with
+ *                                            a `data`-property are sent as messages, while anything else
+ *                                            is sent as the data of a message.
+ * @param {Boolean|Object} opts.end           Whether to shut the channel down when the stream ends.
+ *                                            Can also be the options for `SseChannel.prototype.shutdown()`.
+ *                                            Defaults to false, keeping the channel open.
+ * @param {Number}         opts.highWaterMark Number of objects to buffer before `write()` returns false
+ */
+var ChannelWriteStream = function(channel, opts) {
+    opts = opts || {};
+
+    stream.Writable.call(this, _.omit({
+        objectMode: true,
+        highWaterMark: opts.highWaterMark
+    }, _.isUndefined));
+
+    this.channel    = channel;
+    this.event      = opts.event || null;
+    this.map        = opts.map || _.partial(toMessage, _, this.event);
+    this.endChannel = opts.end || false;
+};
+
+util.inherits(ChannelWriteStream, stream.Writable);
+
+/**
+ * Send an object on the channel, waiting for the clients to keep up before accepting the next one
+ *
+ * @param {*}        obj      Object written to the stream
+ * @param {String}   encoding Ignored, as the stream is in object mode
+ * @param {Function} callback Function to call once the next object can be sent
+ */
+ChannelWriteStream.prototype._write = function(obj, encoding, callback) {
+    try {
+        this.channel.send(this.map(obj));
+    } catch (err) {
+        return callback(err);
+    }
+
+    waitForClients(this.channel, callback);
+};
+
+/**
+ * Shut the channel down once all objects have been sent, if the stream was configured to
+ *
+ * @param {Function} callback Function to call once the stream can finish
+ */
+ChannelWriteStream.prototype._final = function(callback) {
+    if (!this.endChannel) {
+        return callback();
+    }
+
+    this.channel.shutdown(_.isObject(this.endChannel) ? this.endChannel : {}, function() {
+        callback();
+    });
+};
+
+/**
+ * Turn an object written to the stream into a message
+ *
+ * @param  {*}      obj   Object written to the stream
+ * @param  {String} event Name of the event, unless the object specifies one
+ * @return {Object}
+ */
+function toMessage(obj, event) {
+    var msg = _.isObject(obj) && !Buffer.isBuffer(obj) && _.has(obj, 'data') ?
+        _.clone(obj) :
+        { data: obj };
+
+    if (!msg.event && event) {
+        msg.event = event;
+    }
+
+    return msg;
+}
+
+/**
+ * Call the callback once all clients of the channel have written their data, unless the channel
+ * has a slow client policy to deal with them. Clients that disconnect are no longer waited for.
+ *
+ * @param {SseChannel} channel  Channel whose clients to wait for
+ * @param {Function}   callback Function to call once no clients are waited for
+ */
+function waitForClients(channel, callback) {
+    var clients = channel.maxBufferedBytes ? [] : channel.getClients().filter(isBusy);
+    if (!clients.length) {
+        return callback();
+    }
+
+    var done = _.once(function() {
+        clients.forEach(function(client) {
+            client.response.removeListener('drain', check);
+            client.response.removeListener('close', check);
+        });
+
+        channel.removeListener('disconnect', check);
+        callback();
+    });
+
+    var check = function() {
+        var waiting = clients.some(function(client) {
+            return isBusy(client) && channel.getClient(client.id);
+        });
+
+        if (!waiting) {
+            done();
+        }
+    };
+
+    clients.forEach(function(client) {
+        client.response.on('drain', check);
+        client.response.on('close', check);
+    });
+
+    channel.on('disconnect', check);
+}
+
+/**
+ * Check whether a client has data waiting to be written
+ *
+ * @param  {SseClient} client Client to check
+ * @return {Boolean}
+ */
+function isBusy(client) {
+    return client.bufferedBytes > 0;
+}
+
+module.exports = ChannelWriteStream;
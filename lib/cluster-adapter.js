@@ -0,0 +1,126 @@
+'use strict';
+
+var _ = require('lodash');
+
+// Type of the IPC-messages sent between processes, used to tell them apart from other messages
+var MESSAGE_TYPE = 'sse-channel:message';
+
+/**
+ * Cluster adapter
+ *
+ * Shares messages between channels of the same name across the processes of a `cluster`, so a
+ * message sent on a channel in one worker is broadcast by every process. Workers send their
+ * messages to the master over IPC, and the master relays them to all other workers.
+ *
+ * Create one adapter in each process (including the master, which does the relaying) and pass
+ * it to every channel in that process. Adapters implement the following interface, so other
+ * brokers (Redis pub/sub, for instance) can be used in the same way:
+ *
+ *   - `publish(channelName, msg)`         - Send a message to the channels in other processes
+ *   - `subscribe(channelName, handler)`   - Call `handler(msg)` for messages from other processes
+ *   - `unsubscribe(channelName, handler)` - Stop calling the given handler
+ *
+ * Handlers must not be called for messages published by the same process. Messages are plain
+ * objects or strings, and need to survive being serialized as JSON.
+ *
+ * @param {Object} opts         Options for this adapter
+ * @param {Object} opts.cluster Cluster module to use. Defaults to `require('cluster')`
+ * @param {Object} opts.process Process to communicate through. Defaults to `process`
+ */
+var ClusterAdapter = function(opts) {
+    opts = opts || {};
+
+    this.cluster  = opts.cluster || require('cluster');
+    this.process  = opts.process || process;
+    this.handlers = Object.create(null);
+
+    var adapter = this;
+    var listen = function(worker) {
+        worker.on('message', function(packet) {
+            adapter.onMessage(packet, worker);
+        });
+    };
+
+    if (this.cluster.isMaster) {
+        _.forEach(this.cluster.workers, listen);
+        this.cluster.on('fork', listen);
+    } else {
+        this.process.on('message', function(packet) {
+            adapter.onMessage(packet);
+        });
+    }
+};
+
+/**
+ * Publish a message to the channels of the given name in all other processes
+ *
+ * @param {String}        channelName Name of the channel
+ * @param {Object|String} msg         Message to publish
+ */
+ClusterAdapter.prototype.publish = function(channelName, msg) {
+    var packet = { type: MESSAGE_TYPE, channel: channelName, msg: msg };
+
+    if (this.cluster.isMaster) {
+        relay(this.cluster, packet);
+    } else {
+        this.process.send(packet);
+    }
+};
+
+/**
+ * Call the given handler whenever a message for the given channel arrives from another process
+ *
+ * @param {String}   channelName Name of the channel
+ * @param {Function} handler     Function to call with the message
+ */
+ClusterAdapter.prototype.subscribe = function(channelName, handler) {
+    (this.handlers[channelName] = this.handlers[channelName] || []).push(handler);
+};
+
+/**
+ * Stop calling the given handler for messages on the given channel
+ *
+ * @param {String}   channelName Name of the channel
+ * @param {Function} handler     Handler previously passed to `subscribe()`
+ */
+ClusterAdapter.prototype.unsubscribe = function(channelName, handler) {
+    _.pull(this.handlers[channelName] || [], handler);
+};
+
+/**
+ * Handle an IPC-message. The master relays messages from a worker to all other workers.
+ *
+ * @param {Object} packet IPC-message received
+ * @param {Worker} sender Worker that sent the message (only when running in the master)
+ */
+ClusterAdapter.prototype.onMessage = function(packet, sender) {
+    if (!packet || packet.type !== MESSAGE_TYPE) {
+        return;
+    }
+
+    if (sender) {
+        relay(this.cluster, packet, sender);
+    }
+
+    (this.handlers[packet.channel] || []).slice().forEach(function(handler) {
+        handler(packet.msg);
+    });
+};
+
+/**
+ * Send a packet to all connected workers in the cluster, except the given one
+ *
+ * @param {Object} cluster Cluster to relay the packet in
+ * @param {Object} packet  IPC-message to send
+ * @param {Worker} except  Worker that should not receive the packet
+ */
+function relay(cluster, packet, except) {
+    _.forEach(cluster.workers, function(worker) {
+        var connected = _.isFunction(worker.isConnected) ? worker.isConnected() : true;
+        if (worker !== except && connected) {
+            worker.send(packet);
+        }
+    });
+}
+
+module.exports = ClusterAdapter;
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Event stream parser
+ *
+ * Parses the `text/event-stream`-format, as produced by `SseChannel`, into events. Chunks may be
+ * split anywhere, lines may end in CRLF, CR or LF, and comments are ignored. Events without any
+ * data are not dispatched, but their ID is still remembered, like EventSource implementations do.
+ *
+ * @param {Object}   opts             Options for the parser
+ * @param {String}   opts.lastEventId ID of the last event received, if resuming
+ * @param {Function} opts.onEvent     Function to call with each event, given an object containing
+ *                                    the `type`, `data` and `lastEventId` of the event
+ * @param {Function} opts.onRetry     Function to call with the number of milliseconds to wait
+ *                                    before reconnecting, when the stream specifies it
+ */
+var EventStreamParser = function(opts) {
+    this.lastEventId = opts.lastEventId || '';
+    this.onEvent     = opts.onEvent;
+    this.onRetry     = opts.onRetry || function() {};
+
+    this.reset();
+};
+
+/**
+ * Forget any partially received event, ie when starting a new stream.
+ * The ID of the last event is kept, so the stream can be resumed.
+ *
+ */
+EventStreamParser.prototype.reset = function() {
+    this.buffer    = '';
+    this.data      = '';
+    this.eventType = '';
+    this.started   = false;
+    this.afterCR   = false;
+};
+
+/**
+ * Parse a chunk of the stream, dispatching any events it completes
+ *
+ * @param {String} chunk Chunk of the stream, decoded as UTF-8
+ */
+EventStreamParser.prototype.write = function(chunk) {
+    var text = this.buffer + chunk, start = 0, c;
+
+    // The stream may start with a byte order mark, which is not part of the first line
+    if (!this.started && text.length) {
+        this.started = true;
+        if (text.charAt(0) === '\uFEFF') {
+            start = 1;
+        }
+    }
+
+    for (var i = start; i < text.length; i++) {
+        c = text.charAt(i);
+
+        // The second half of a CRLF, which could not be told apart from a CR in the previous chunk
+        if (c === '\n' && this.afterCR) {
+            this.afterCR = false;
+            start = i + 1;
+            continue;
+        }
+
+        this.afterCR = c === '\r';
+        if (c === '\r' || c === '\n') {
+            this.parseLine(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+
+    this.buffer = text.slice(start);
+};
+
+/**
+ * Parse a single line of the stream
+ *
+ * @param {String} line Line to parse, without the line ending
+ */
+EventStreamParser.prototype.parseLine = function(line) {
+    if (line === '') {
+        return this.dispatch();
+    }
+
+    if (line.charAt(0) === ':') {
+        return;
+    }
+
+    var colon = line.indexOf(':');
+    var field = colon === -1 ? line : line.substr(0, colon);
+    var value = colon === -1 ? '' : line.substr(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+        this.eventType = value;
+    } else if (field === 'data') {
+        this.data += value + '\n';
+    } else if (field === 'id' && value.indexOf('\u0000') === -1) {
+        this.lastEventId = value;
+    } else if (field === 'retry' && /^\d+$/.test(value)) {
+        this.onRetry(parseInt(value, 10));
+    }
+};
+
+/**
+ * Dispatch the event received so far, if it has any data
+ *
+ */
+EventStreamParser.prototype.dispatch = function() {
+    var data = this.data, type = this.eventType;
+
+    this.data = '';
+    this.eventType = '';
+
+    if (data === '') {
+        return;
+    }
+
+    this.onEvent({
+        type: type || 'message',
+        data: data.slice(0, -1),
+        lastEventId: this.lastEventId
+    });
+};
+
+module.exports = EventStreamParser;
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Express middleware
+ *
+ * Creates a middleware which adds the clients of the matching requests to the given channel,
+ * ie `app.get('/channel/sysinfo', SseChannel.expressMiddleware(channel))`. Express builds on the
+ * request and response of node's `http`-module, so the channel can write to the response directly.
+ * The response is handled entirely by the channel, so the next middleware is never called.
+ *
+ * @param  {SseChannel} channel Channel to add clients to
+ * @return {Function} Express middleware
+ */
+module.exports = function expressMiddleware(channel) {
+    return function(req, res) {
+        channel.addClient(req, res, { lastEventId: getLastEventId(req) });
+    };
+};
+
+/**
+ * Get the ID of the last event received by the client, using the query string as parsed by
+ * Express, as it might differ from the URL of the request (a custom `query parser`, for instance)
+ *
+ * @param  {Request} req Express request
+ * @return {String|undefined}
+ */
+function getLastEventId(req) {
+    var query = req.query || {};
+    return req.get('Last-Event-ID') || query.evs_last_event_id || query.lastEventId;
+}
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Fastify plugin
+ *
+ * Registers a route which adds the clients of the matching requests to the given channel:
+ *
+ *   fastify.register(SseChannel.fastifyPlugin, { channel: channel, url: '/channel/sysinfo' })
+ *
+ * Fastify sends replies through its own lifecycle, so the reply is hijacked and the channel writes
+ * to the underlying response instead. This also means `onSend`-hooks (such as the ones used by
+ * `@fastify/compress`) don't run for the stream. Use `fastifyPlugin.handler(channel)` to get a
+ * route handler for routes defined elsewhere.
+ *
+ * @param {Fastify}    fastify      Fastify instance to register the route on
+ * @param {Object}     opts         Options for the plugin
+ * @param {SseChannel} opts.channel Channel to add clients to
+ * @param {String}     opts.url     URL of the route. Defaults to `/`
+ * @param {Function}   done         Callback to run when the plugin has been registered
+ */
+var fastifyPlugin = function(fastify, opts, done) {
+    if (!opts || !opts.channel) {
+        return done(new Error('fastifyPlugin requires a `channel`-option'));
+    }
+
+    fastify.route({
+        // Preflight requests are answered by the channel, depending on its CORS options
+        method: ['GET', 'OPTIONS'],
+        url: opts.url || '/',
+        handler: createHandler(opts.channel)
+    });
+
+    done();
+};
+
+fastifyPlugin.handler = createHandler;
+
+/**
+ * Create a route handler which adds clients to the given channel
+ *
+ * @param  {SseChannel} channel Channel to add clients to
+ * @return {Function} Fastify route handler
+ */
+function createHandler(channel) {
+    return function(request, reply) {
+        reply.hijack();
+
+        var query = request.query || {};
+        channel.addClient(request.raw, reply.raw, {
+            lastEventId: request.headers['last-event-id'] || query.evs_last_event_id || query.lastEventId
+        });
+    };
+}
+
+module.exports = fastifyPlugin;
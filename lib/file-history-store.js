@@ -0,0 +1,222 @@
+'use strict';
+
+var _    = require('lodash'),
+    fs   = require('fs'),
+    util = require('util'),
+    MemoryHistoryStore = require('./memory-history-store');
+
+/**
+ * File-backed history store
+ *
+ * Keeps the history in an append-only file of JSON-encoded entries (one per line), so the
+ * history survives restarts and clients reconnecting after a deploy still receive the events
+ * they missed. The file is read once when the store is created, and lookups are served from
+ * memory. Whenever the file grows to more than twice the size of the history, it is compacted.
+ * The compacted file starts with the ID of the newest entry dropped so far, so history gaps are
+ * still detected after a restart.
+ *
+ * @param {Object} opts            Options for this history store
+ * @param {String} opts.path       Path to the file used to persist the history
+ * @param {String} opts.idStrategy How to compare event IDs, see `MemoryHistoryStore`
+ */
+var FileHistoryStore = function(opts) {
+    MemoryHistoryStore.call(this, opts);
+
+    if (!opts || !opts.path) {
+        throw new Error('FileHistoryStore requires a `path`-option');
+    }
+
+    this.path = opts.path;
+    this.queue = [];
+    this.lineCount = 0;
+
+    readEntries(this);
+};
+
+util.inherits(FileHistoryStore, MemoryHistoryStore);
+
+/**
+ * Add an entry to the history
+ *
+ * @param {Object}   entry    Entry to add
+ * @param {Function} callback Callback to run when the entry has been written to disk
+ */
+FileHistoryStore.prototype.append = function(entry, callback) {
+    MemoryHistoryStore.prototype.append.call(this, entry);
+
+    var store = this, line = JSON.stringify(entry) + '\n';
+    enqueue(this, function(next) {
+        store.lineCount++;
+        fs.appendFile(store.path, line, next);
+    }, callback);
+};
+
+/**
+ * Remove the oldest entries, leaving at most `size` entries in the history.
+ * Compacts the file if it has grown to more than twice the size of the history.
+ *
+ * @param {Number}   size     Number of entries to keep
+ * @param {Function} callback Callback to run when the history has been trimmed
+ */
+FileHistoryStore.prototype.trim = function(size, callback) {
+    MemoryHistoryStore.prototype.trim.call(this, size);
+
+    if (this.lineCount + this.queue.length <= size * 2) {
+        if (callback) {
+            callback(null);
+        }
+
+        return;
+    }
+
+    compact(this, callback);
+};
+
+/**
+ * Remove entries whose `expiresAt` is at or before the given time. The file is compacted
+ * if any were removed, so they don't come back when the file is read after a restart.
+ *
+ * @param {Number}   time     Time (in milliseconds since the epoch) to remove entries expiring before
+ * @param {Function} callback Callback to run when the expired entries have been removed
+ */
+FileHistoryStore.prototype.prune = function(time, callback) {
+    var count = this.entries.length;
+    MemoryHistoryStore.prototype.prune.call(this, time);
+
+    if (this.entries.length === count) {
+        if (callback) {
+            callback(null);
+        }
+
+        return;
+    }
+
+    compact(this, callback);
+};
+
+/**
+ * Remove all entries from the history and truncate the file
+ *
+ * @param {Function} callback Callback to run when the history has been cleared
+ */
+FileHistoryStore.prototype.clear = function(callback) {
+    MemoryHistoryStore.prototype.clear.call(this);
+
+    var store = this, data = serializeEntries(this);
+    enqueue(this, function(next) {
+        store.lineCount = 0;
+        fs.writeFile(store.path, data, next);
+    }, callback);
+};
+
+/**
+ * Read the existing entries from the history file, if it exists
+ *
+ * @param {FileHistoryStore} store History store to read entries into
+ */
+function readEntries(store) {
+    var contents;
+    try {
+        contents = fs.readFileSync(store.path, { encoding: 'utf8' });
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return;
+        }
+
+        throw e;
+    }
+
+    var lines = _.compact(contents.split('\n'));
+    store.lineCount = lines.length;
+
+    lines.forEach(function(line) {
+        // A crash while writing may leave an incomplete line at the end of the file
+        var entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            return;
+        }
+
+        if (_.has(entry, 'droppedId')) {
+            store.droppedId = entry.droppedId;
+        } else {
+            MemoryHistoryStore.prototype.append.call(store, entry);
+        }
+    });
+}
+
+/**
+ * Rewrite the history file with the current entries of the store, replacing it once written
+ *
+ * @param {FileHistoryStore} store    History store to compact the file of
+ * @param {Function}         callback Callback to run when the file has been compacted
+ */
+function compact(store, callback) {
+    var data = serializeEntries(store);
+    enqueue(store, function(next) {
+        var tmpPath = store.path + '.tmp';
+        fs.writeFile(tmpPath, data, function(err) {
+            if (err) {
+                return next(err);
+            }
+
+            store.lineCount = _.compact(data.split('\n')).length;
+            fs.rename(tmpPath, store.path, next);
+        });
+    }, callback);
+}
+
+/**
+ * Serialize the entries of a store into the format used in the history file, preceded by
+ * the ID of the newest entry dropped from the history, if any
+ *
+ * @param  {FileHistoryStore} store History store to serialize
+ * @return {String}
+ */
+function serializeEntries(store) {
+    var lines = store.droppedId === null ? [] : [{ droppedId: store.droppedId }];
+    return lines.concat(store.entries).map(function(line) {
+        return JSON.stringify(line) + '\n';
+    }).join('');
+}
+
+/**
+ * Queue a file operation. Operations run one at a time, in the order they were queued,
+ * so the file always reflects the order of the calls made to the store.
+ *
+ * @param {FileHistoryStore} store     History store to queue the operation on
+ * @param {Function}         operation Function that performs the operation, given a callback
+ * @param {Function}         callback  Callback to run when the operation has completed
+ */
+function enqueue(store, operation, callback) {
+    store.queue.push({ operation: operation, callback: callback });
+
+    if (store.queue.length === 1) {
+        processQueue(store);
+    }
+}
+
+/**
+ * Run the next operation in the queue of the given store
+ *
+ * @param {FileHistoryStore} store History store to process the queue of
+ */
+function processQueue(store) {
+    var task = store.queue[0];
+    if (!task) {
+        return;
+    }
+
+    task.operation(function(err) {
+        store.queue.shift();
+
+        if (task.callback) {
+            task.callback(err || null);
+        }
+
+        processQueue(store);
+    });
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,114 @@
+'use strict';
+
+var _      = require('lodash'),
+    events = require('events');
+
+// Error code used when cancelling a stream, see `http2.constants.NGHTTP2_CANCEL`
+var NGHTTP2_CANCEL = 8;
+
+/**
+ * HTTP/2 connection
+ *
+ * Wraps an `Http2Stream` (from the `stream`-event of an HTTP/2 server) in a request and a response
+ * resembling the ones of node's `http`-module, so the stream can be added to a channel like any
+ * other client. Only the parts of the interface used by the channel are implemented.
+ *
+ * @param  {Http2Stream} stream  Stream of the client
+ * @param  {Object}      headers Request headers, including the `:method` and `:path` pseudo-headers
+ * @return {Object} Object containing the request (`request`) and the response (`response`)
+ */
+var createHttp2Connection = function(stream, headers) {
+    var req = new events.EventEmitter();
+    req.method           = headers[':method'] || 'GET';
+    req.url              = headers[':path'] || '/';
+    req.headers          = headers;
+    req.httpVersion      = '2.0';
+    req.httpVersionMajor = 2;
+    req.stream           = stream;
+    req.socket           = stream.session ? stream.session.socket : null;
+
+    var res = new events.EventEmitter();
+    res.statusCode  = 200;
+    res.headersSent = false;
+    res.finished    = false;
+    res.stream      = stream;
+
+    // Header names are always lowercase in HTTP/2. `_headers` is used by some modules to set headers
+    res._headers = {};
+
+    res.setHeader = function(name, value) {
+        res._headers[name.toLowerCase()] = value;
+    };
+
+    res.getHeader = function(name) {
+        return res._headers[name.toLowerCase()];
+    };
+
+    res.writeHead = function(statusCode, responseHeaders) {
+        _.forEach(responseHeaders, function(value, name) {
+            res.setHeader(name, value);
+        });
+
+        res.statusCode  = statusCode;
+        res.headersSent = true;
+
+        if (!stream.destroyed) {
+            stream.respond(_.assign({ ':status': statusCode }, res._headers));
+        }
+    };
+
+    res.write = function(chunk) {
+        if (!res.headersSent) {
+            res.writeHead(res.statusCode);
+        }
+
+        return stream.destroyed ? false : stream.write(chunk);
+    };
+
+    res.end = function(chunk) {
+        if (!res.headersSent) {
+            res.writeHead(res.statusCode);
+        }
+
+        res.finished = true;
+
+        if (!stream.destroyed) {
+            stream.end(chunk);
+        }
+    };
+
+    res.destroy = function() {
+        stream.close(NGHTTP2_CANCEL);
+    };
+
+    stream.on('drain', function() {
+        res.emit('drain');
+    });
+
+    stream.on('finish', function() {
+        res.emit('finish');
+    });
+
+    stream.on('close', function() {
+        res.finished = true;
+        req.emit('close');
+        res.emit('close');
+    });
+
+    // Streams that are reset by the client emit errors, but the `close`-event takes care of it
+    stream.on('error', _.noop);
+
+    return { request: req, response: res };
+};
+
+/**
+ * Check whether the given object is an `Http2Stream`
+ *
+ * @param  {Object} obj Object to check
+ * @return {Boolean}
+ */
+createHttp2Connection.isStream = function(obj) {
+    return Boolean(obj && _.isFunction(obj.respond) && _.isFunction(obj.pushStream));
+};
+
+module.exports = createHttp2Connection;
@@ -0,0 +1,66 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Key throttle
+ *
+ * Limits how often values with the same key are passed on. The first value for a key is passed on
+ * right away, after which values are held back until the interval has passed. Only the latest
+ * value held back for each key is passed on when the interval ends - older ones are dropped.
+ *
+ * @param {Number}   interval Milliseconds to wait between values with the same key
+ * @param {Function} callback Function to call with each value that is passed on, and its key
+ */
+var KeyThrottle = function(interval, callback) {
+    this.interval = interval;
+    this.callback = callback;
+    this.timers   = Object.create(null);
+    this.pending  = Object.create(null);
+};
+
+/**
+ * Pass on the given value, or hold it back if a value with the same key was recently passed on
+ *
+ * @param {String} key   Key of the value
+ * @param {*}      value Value to pass on
+ */
+KeyThrottle.prototype.push = function(key, value) {
+    if (this.timers[key]) {
+        this.pending[key] = { value: value };
+        return;
+    }
+
+    this.start(key);
+    this.callback(value, key);
+};
+
+/**
+ * Start the interval for the given key, passing on the latest value held back when it ends
+ *
+ * @param {String} key Key to start the interval for
+ */
+KeyThrottle.prototype.start = function(key) {
+    var throttle = this;
+    this.timers[key] = setTimeout(function() {
+        delete throttle.timers[key];
+
+        var pending = throttle.pending[key];
+        if (pending) {
+            delete throttle.pending[key];
+            throttle.push(key, pending.value);
+        }
+    }, this.interval);
+};
+
+/**
+ * Stop all intervals, dropping any values held back
+ *
+ */
+KeyThrottle.prototype.clear = function() {
+    _.forEach(this.timers, clearTimeout);
+    this.timers  = Object.create(null);
+    this.pending = Object.create(null);
+};
+
+module.exports = KeyThrottle;
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Koa middleware
+ *
+ * Creates a middleware which adds the clients of the matching requests to the given channel,
+ * ie `router.get('/channel/sysinfo', SseChannel.koaMiddleware(channel))`. Koa normally writes the
+ * response once all middleware has run, so the middleware bypasses it and lets the channel write
+ * to the underlying response instead. Downstream middleware is never called.
+ *
+ * @param  {SseChannel} channel Channel to add clients to
+ * @return {Function} Koa middleware
+ */
+module.exports = function koaMiddleware(channel) {
+    return function(ctx) {
+        // Keep Koa (and `koa-compress`) from touching the response
+        ctx.respond = false;
+        ctx.compress = false;
+
+        var query = ctx.query || {};
+        var opts = {
+            lastEventId: ctx.get('Last-Event-ID') || query.evs_last_event_id || query.lastEventId
+        };
+
+        // Let upstream middleware know when the client has been added
+        return new Promise(function(resolve) {
+            channel.addClient(ctx.req, ctx.res, opts, function() {
+                resolve();
+            });
+        });
+    };
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+var _ = require('lodash');
+
+// Ways of finding where in the history a client should resume, see MemoryHistoryStore
+var ID_STRATEGIES = ['numeric', 'lexical', 'opaque'];
+
+/**
+ * In-memory history store
+ *
+ * This is the default history store for a channel. Entries are kept in an array, which means
+ * the history is lost when the process exits. Every history store implements the same
+ * asynchronous interface, so any of them can be passed as the `historyStore`-option:
+ *
+ *   - `append(entry, callback)` - Add an entry, replacing any existing entry with the same ID or `key`
+ *   - `since(lastId, callback)` - Call back with all entries newer than `lastId`, oldest first, and
+ *                                 whether entries newer than `lastId` are missing (optional)
+ *   - `trim(size, callback)`    - Remove the oldest entries until at most `size` entries remain
+ *   - `clear(callback)`         - Remove all entries
+ *   - `prune(time, callback)`   - Remove entries which expired at or before the given time (optional)
+ *   - `size()`                  - Return the number of entries, used for statistics (optional)
+ *
+ * Entries are objects containing the `id` of the event and the serialized message (`msg`), and
+ * optionally the time at which they expire (`expiresAt`, in milliseconds since the epoch) and
+ * the key used to coalesce messages (`key`), where only the latest entry for each key is kept.
+ * Callbacks follow the regular node convention of receiving an error as the first argument.
+ *
+ * The ID strategy decides which entries are newer than the ID a client resumes from. `numeric`
+ * and `lexical` IDs are compared as numbers and strings respectively, so IDs like ULIDs can be
+ * used. `opaque` IDs can't be compared, so the ID is looked up in the history and the entries
+ * after it are returned. Opaque IDs that aren't in the history are considered older.
+ *
+ * The store remembers the ID of the newest entry it has dropped (by trimming, pruning or replacing
+ * an entry with the same key). When a client resumes from an ID older than that, it has missed
+ * events, and a flag telling that there is a gap is passed along with the entries.
+ *
+ * @param {Object} opts            Options for this history store
+ * @param {String} opts.idStrategy How to compare event IDs - `numeric` (default), `lexical` or `opaque`
+ */
+var MemoryHistoryStore = function(opts) {
+    opts = opts || {};
+
+    this.idStrategy = opts.idStrategy || 'numeric';
+    this.entries = [];
+    this.droppedId = null;
+
+    if (!_.contains(ID_STRATEGIES, this.idStrategy)) {
+        throw new Error('Unknown ID strategy "' + this.idStrategy + '"');
+    }
+};
+
+/**
+ * Add an entry to the history
+ *
+ * @param {Object}   entry    Entry to add
+ * @param {Function} callback Callback to run when the entry has been added
+ */
+MemoryHistoryStore.prototype.append = function(entry, callback) {
+    var replaced = _.remove(this.entries, function(existing) {
+        return existing.id === entry.id || (entry.key && existing.key === entry.key);
+    });
+    this.entries.push(entry);
+
+    // Replacing an entry with the same ID drops nothing, as the ID is still in the history
+    forget(this, _.reject(replaced, { id: entry.id }));
+
+    done(callback);
+};
+
+/**
+ * Get all entries newer than the given event ID
+ *
+ * @param {Number|String} lastId   The last event ID received by the client
+ * @param {Function}      callback Callback to run with the matching entries, oldest first, and
+ *                                 whether there is a gap between `lastId` and the oldest entry
+ */
+MemoryHistoryStore.prototype.since = function(lastId, callback) {
+    var i = this.entries.length;
+    while (i--) {
+        if (isAtOrBefore(this.entries[i].id, lastId, this.idStrategy)) {
+            break;
+        }
+    }
+
+    // The client has missed events if entries newer than the given ID have been dropped.
+    // Opaque IDs can't be compared, so only clients resuming from IDs in the history are safe.
+    var gap = this.droppedId !== null && (this.idStrategy === 'opaque' ?
+        i < 0 && !isAtOrBefore(this.droppedId, lastId, this.idStrategy) :
+        !isAtOrBefore(this.droppedId, lastId, this.idStrategy)
+    );
+
+    done(callback, null, this.entries.slice(i + 1), gap);
+};
+
+/**
+ * Remove the oldest entries, leaving at most `size` entries in the history
+ *
+ * @param {Number}   size     Number of entries to keep
+ * @param {Function} callback Callback to run when the history has been trimmed
+ */
+MemoryHistoryStore.prototype.trim = function(size, callback) {
+    if (this.entries.length > size) {
+        forget(this, this.entries.slice(0, this.entries.length - size));
+        this.entries = this.entries.slice(0 - size);
+    }
+
+    done(callback);
+};
+
+/**
+ * Remove the entries which expired at or before the given time
+ *
+ * @param {Number}   time     Milliseconds since the epoch
+ * @param {Function} callback Callback to run when the expired entries have been removed
+ */
+MemoryHistoryStore.prototype.prune = function(time, callback) {
+    forget(this, _.remove(this.entries, function(entry) {
+        return entry.expiresAt && entry.expiresAt <= time;
+    }));
+
+    done(callback);
+};
+
+/**
+ * Get the number of entries in the history
+ *
+ * @return {Number}
+ */
+MemoryHistoryStore.prototype.size = function() {
+    return this.entries.length;
+};
+
+/**
+ * Get the ID of the newest entry which has been dropped from the history
+ *
+ * @return {Number|String|null} ID of the entry, or null if no entries have been dropped
+ */
+MemoryHistoryStore.prototype.lastDroppedId = function() {
+    return this.droppedId;
+};
+
+/**
+ * Remove all entries from the history
+ *
+ * @param {Function} callback Callback to run when the history has been cleared
+ */
+MemoryHistoryStore.prototype.clear = function(callback) {
+    forget(this, this.entries);
+    this.entries = [];
+
+    done(callback);
+};
+
+/**
+ * Check whether an event ID is the same as, or older than, the ID a client resumes from
+ *
+ * @param  {Number|String} id       ID of an entry in the history
+ * @param  {Number|String} lastId   The last event ID received by the client
+ * @param  {String}        strategy ID strategy of the store
+ * @return {Boolean}
+ */
+function isAtOrBefore(id, lastId, strategy) {
+    if (strategy === 'numeric') {
+        return Number(id) <= Number(lastId);
+    }
+
+    if (strategy === 'lexical') {
+        return String(id) <= String(lastId);
+    }
+
+    // The ID given in the query string or header is always a string
+    return String(id) === String(lastId);
+}
+
+/**
+ * Remember the ID of the newest of the given entries, which have been dropped from the history
+ *
+ * @param {MemoryHistoryStore} store   History store the entries were dropped from
+ * @param {Array}              entries Entries which were dropped, oldest first
+ */
+function forget(store, entries) {
+    entries.forEach(function(entry) {
+        if (store.droppedId === null || !isAtOrBefore(entry.id, store.droppedId, store.idStrategy)) {
+            store.droppedId = entry.id;
+        }
+    });
+}
+
+/**
+ * Call the given callback (if any) with the remaining arguments
+ *
+ * @param {Function} callback Callback to run
+ */
+function done(callback) {
+    if (callback) {
+        callback.apply(null, _.rest(arguments));
+    }
+}
+
+module.exports = MemoryHistoryStore;
@@ -0,0 +1,74 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Create a function which validates the data of messages. Takes either a JSON Schema, or a
+ * function which is given the data and the message, and returns `false` or throws an error
+ * if the data is invalid.
+ *
+ * JSON Schemas are compiled with an Ajv instance of their own for each channel, which is only
+ * created (and Ajv only loaded) once the channel is given a schema. Channels can then use
+ * schemas with the same `$id` without clashing. Ajv has to be installed separately.
+ *
+ * @param  {Object|Function} schema  JSON Schema or validation function
+ * @param  {SseChannel}      channel Channel the validator is created for
+ * @return {Function} Function returning a description of the problem, or null if the data is valid
+ */
+var createValidator = function(schema, channel) {
+    if (_.isFunction(schema)) {
+        return function(data, msg) {
+            try {
+                return schema(data, msg) === false ? 'failed validation' : null;
+            } catch (e) {
+                return e.message;
+            }
+        };
+    }
+
+    var ajv = channel.ajv = channel.ajv || createAjv();
+    var validate = ajv.compile(schema);
+    var validator = function(data) {
+        return validate(data) ? null : ajv.errorsText(validate.errors, { dataVar: 'data' });
+    };
+
+    validator.schema = schema;
+    return validator;
+};
+
+/**
+ * Remove the schema of a validator which is no longer used from the Ajv instance of the channel,
+ * so the schema (or another one with the same `$id`) can be compiled again
+ *
+ * @param {Function}   validator Validator which is no longer used
+ * @param {SseChannel} channel   Channel the validator was created for
+ */
+createValidator.remove = function(validator, channel) {
+    if (validator && validator.schema && channel.ajv) {
+        channel.ajv.removeSchema(validator.schema);
+    }
+};
+
+/**
+ * Create an Ajv instance, reporting all problems with the data rather than just the first.
+ * Ajv is an optional dependency, only needed by channels using JSON Schemas.
+ *
+ * @return {Ajv}
+ * @throws {Error} If Ajv is not installed
+ */
+function createAjv() {
+    var Ajv;
+    try {
+        Ajv = require('ajv');
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') {
+            throw e;
+        }
+
+        throw new Error('Validating messages against JSON Schemas requires `ajv` - run `npm install ajv`');
+    }
+
+    return new Ajv({ allErrors: true });
+}
+
+module.exports = createValidator;
@@ -0,0 +1,170 @@
+'use strict';
+
+var _ = require('lodash');
+
+// Milliseconds a member may be gone before it is considered to have left
+var DEFAULT_LEAVE_DELAY = 5000;
+
+/**
+ * Presence tracker
+ *
+ * Keeps track of who is connected to a channel, keyed by the identity of the clients, so several
+ * connections (ie tabs) from the same user count as a single member. Members joining and leaving
+ * are announced to the clients of the channel. Leaving is delayed, so members reconnecting right
+ * away (ie when reloading the page) don't leave and join again.
+ *
+ * @param {SseChannel} channel         Channel to track the presence of
+ * @param {Object}     opts            Options for the tracker
+ * @param {Function}   opts.key        Function returning the key identifying the member a client
+ *                                     belongs to. Defaults to the `id` of the identity of the client,
+ *                                     or the identity itself if it is a string. Clients without a key
+ *                                     are not tracked.
+ * @param {Function}   opts.info       Function returning what the other clients are told about the
+ *                                     member a client belongs to, besides its key. Defaults to nothing,
+ *                                     as the identity of the client may contain anything.
+ * @param {Number}     opts.leaveDelay Milliseconds a member may be gone before it is considered to
+ *                                     have left. Defaults to 5 seconds.
+ */
+var Presence = function(channel, opts) {
+    this.channel    = channel;
+    this.getKey     = opts.key || getIdentityKey;
+    this.getInfo    = opts.info || function() { return null; };
+    this.leaveDelay = _.isUndefined(opts.leaveDelay) ? DEFAULT_LEAVE_DELAY : opts.leaveDelay;
+    this.members    = Object.create(null);
+};
+
+/**
+ * Add a client which has connected to the channel. If it is the first connection of a member,
+ * the member joins. The client is sent the current members, unless it is long-polling.
+ *
+ * @param {SseClient} client Client which connected
+ */
+Presence.prototype.add = function(client) {
+    var key = this.getKey(client);
+    if (!isValidKey(key)) {
+        return;
+    }
+
+    var member = this.members[key];
+    if (member) {
+        clearTimeout(member.leaveTimer);
+        member.leaveTimer = null;
+    } else {
+        member = this.members[key] = {
+            id: key,
+            info: this.getInfo(client),
+            connections: [],
+            joinedAt: new Date(),
+            leaveTimer: null
+        };
+
+        this.announce('presence-join', member, client);
+    }
+
+    member.connections.push(client.id);
+
+    // Each response to a long-polling client ends once it has been sent an event
+    if (!client.poll) {
+        this.channel.send({ event: 'presence', data: _.map(this.getMembers(), toPublic) }, [client]);
+    }
+};
+
+/**
+ * Remove a client which has disconnected from the channel. If it was the last connection of
+ * a member, the member leaves unless it reconnects within the leave delay.
+ *
+ * @param {SseClient} client Client which disconnected
+ */
+Presence.prototype.remove = function(client) {
+    var member = _.find(this.members, function(member) {
+        return _.contains(member.connections, client.id);
+    });
+
+    if (!member) {
+        return;
+    }
+
+    _.pull(member.connections, client.id);
+    if (member.connections.length) {
+        return;
+    }
+
+    member.leaveTimer = setTimeout(_.bind(function() {
+        delete this.members[member.id];
+        this.announce('presence-leave', member);
+    }, this), this.leaveDelay);
+};
+
+/**
+ * Get the current members
+ *
+ * @return {Array} Array of members, containing the `id` and `info` of each member, the IDs of
+ *                 its clients (`connections`) and when it joined (`joinedAt`)
+ */
+Presence.prototype.getMembers = function() {
+    return _.map(this.members, function(member) {
+        return _.pick(member, ['id', 'info', 'connections', 'joinedAt']);
+    });
+};
+
+/**
+ * Stop all timers, forgetting about members waiting to leave
+ *
+ */
+Presence.prototype.clear = function() {
+    _.forEach(this.members, function(member) {
+        clearTimeout(member.leaveTimer);
+    });
+
+    this.members = Object.create(null);
+};
+
+/**
+ * Tell the clients of the channel that a member joined or left, and emit the event on the channel
+ *
+ * @param {String}    event  Name of the event, `presence-join` or `presence-leave`
+ * @param {Object}    member Member which joined or left
+ * @param {SseClient} except Client which should not be told, as it is the one joining
+ */
+Presence.prototype.announce = function(event, member, except) {
+    var channel = this.channel;
+    var clients = _.without(channel.getClients(), except);
+    if (clients.length) {
+        channel.send({ event: event, data: toPublic(member) }, clients);
+    }
+
+    channel.emit(event, channel, _.pick(member, ['id', 'info']));
+};
+
+/**
+ * Get the key of the member a client belongs to from the identity of the client
+ *
+ * @param  {SseClient} client Client to get the key of
+ * @return {String|Number|null}
+ */
+function getIdentityKey(client) {
+    var identity = client.identity;
+    return _.isObject(identity) ? identity.id : identity;
+}
+
+/**
+ * Check whether a key can be used to identify a member
+ *
+ * @param  {*} key Key to check
+ * @return {Boolean}
+ */
+function isValidKey(key) {
+    return _.isString(key) ? key.length > 0 : _.isNumber(key);
+}
+
+/**
+ * Get what clients are told about a member
+ *
+ * @param  {Object} member Member to describe
+ * @return {Object}
+ */
+function toPublic(member) {
+    return { id: member.id, info: member.info };
+}
+
+module.exports = Presence;
@@ -0,0 +1,108 @@
+'use strict';
+
+var _ = require('lodash');
+
+// Metrics exposed for each channel: name, type, help text and the statistic it is taken from
+var METRICS = [
+    ['connections', 'gauge', 'Clients connected to the channel', 'connections'],
+    ['messages_sent_total', 'counter', 'Messages sent on the channel', 'messagesSent'],
+    ['sent_bytes_total', 'counter', 'Bytes written to the clients of the channel', 'bytesSent'],
+    ['pings_sent_total', 'counter', 'Pings sent to the clients of the channel', 'pingsSent'],
+    ['history_entries', 'gauge', 'Entries in the history of the channel', 'historySize'],
+    ['replays_total', 'counter', 'Times missed events have been sent to reconnecting clients', 'replays'],
+    ['replayed_events_total', 'counter', 'Missed events sent to reconnecting clients', 'eventsReplayed'],
+    ['connects_total', 'counter', 'Clients that have connected to the channel', 'connects'],
+    ['disconnects_total', 'counter', 'Clients that have disconnected from the channel', 'disconnects'],
+    ['rejections_total', 'counter', 'Clients that have been rejected by the channel', 'rejections'],
+    ['evictions_total', 'counter', 'Clients that have been evicted from the channel', 'evictions'],
+    ['buffered_bytes', 'gauge', 'Bytes waiting to be written to the clients of the channel', 'bufferedBytes'],
+    ['slow_clients', 'gauge', 'Clients with too much data waiting to be written', 'slowClients']
+];
+
+/**
+ * Prometheus handler
+ *
+ * Creates a request handler which serves the statistics of the given channels in the Prometheus
+ * text exposition format, so they can be scraped by Prometheus:
+ *
+ *   http.createServer(SseChannel.prometheusHandler(manager)).listen(9100);
+ *
+ * Metrics are prefixed with `sse_channel_` and labelled with the name of the channel.
+ * Per-client numbers are summed up, to keep the number of time series down.
+ *
+ * @param  {SseChannelManager|Array|Function} channels Channel manager, array of channels or
+ *                                                     function returning the channels to expose
+ * @return {Function} Request handler, given a request and a response
+ */
+module.exports = function prometheusHandler(channels) {
+    return function(req, res) {
+        var body = formatMetrics(getChannels(channels));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        });
+
+        res.end(body);
+    };
+};
+
+/**
+ * Resolve the channels to expose
+ *
+ * @param  {SseChannelManager|Array|Function} channels Channels, as given to the handler
+ * @return {Array}
+ */
+function getChannels(channels) {
+    if (_.isFunction(channels)) {
+        return channels();
+    }
+
+    return _.isFunction(channels.getChannels) ? channels.getChannels() : channels;
+}
+
+/**
+ * Format the statistics of the given channels in the Prometheus text exposition format
+ *
+ * @param  {Array} channels Channels to format the statistics of
+ * @return {String}
+ */
+function formatMetrics(channels) {
+    var stats = channels.map(function(channel, i) {
+        var channelStats = channel.getStats();
+
+        return _.assign({
+            // Unnamed channels need to be told apart somehow
+            label: 'channel="' + escapeLabel(channel.name || String(i)) + '"',
+            bufferedBytes: _.sum(channelStats.clients, 'bufferedBytes'),
+            slowClients: _.filter(channelStats.clients, 'slow').length
+        }, channelStats);
+    });
+
+    return METRICS.map(function(metric) {
+        var name = 'sse_channel_' + metric[0];
+        var lines = [
+            '# HELP ' + name + ' ' + metric[2],
+            '# TYPE ' + name + ' ' + metric[1]
+        ];
+
+        stats.forEach(function(channelStats) {
+            var value = channelStats[metric[3]];
+            if (_.isNumber(value)) {
+                lines.push(name + '{' + channelStats.label + '} ' + value);
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }).join('');
+}
+
+/**
+ * Escape a label value according to the exposition format
+ *
+ * @param  {String} value Label value to escape
+ * @return {String}
+ */
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
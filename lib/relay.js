@@ -0,0 +1,126 @@
+'use strict';
+
+var _              = require('lodash'),
+    SseChannel     = require('./sse-channel'),
+    SseEventSource = require('./sse-event-source');
+
+/**
+ * Create a channel which mirrors an upstream event stream, so any number of clients can receive
+ * the events of a vendor feed or another service through a single upstream connection.
+ *
+ * Events are sent with the IDs given by the upstream, so the history works as usual, and the
+ * upstream connection resumes from the last event relayed if it is lost. The channel emits
+ * `upstream-up` when connected, `upstream-down` when the connection is lost or can't be made,
+ * and `upstream-reconnecting` before each attempt to reconnect. The status follows the `readyState`
+ * of the upstream connection, so upstream events named like these can't change it. Events that
+ * can't be sent on the channel for other reasons than failing validation are emitted as `error`.
+ * Shutting the channel down closes the upstream connection.
+ *
+ * @param  {String} upstreamUrl      URL of the upstream event stream
+ * @param  {Object} opts             Options for the channel, see `SseChannel`, as well as:
+ * @param  {Object} opts.upstream    Options for the upstream connection, see `SseEventSource`.
+ *                                   Give `lastEventId` to resume from a persisted history.
+ * @param  {String} opts.statusEvent Name of an event to send to clients when the upstream goes down
+ *                                   (with `down` as data) or comes back up (with `up` as data).
+ *                                   Status events are not added to the history.
+ * @return {SseChannel}
+ */
+module.exports = function relay(upstreamUrl, opts) {
+    opts = opts || {};
+
+    var channel = new SseChannel(_.omit(opts, ['upstream', 'statusEvent']));
+    var upstream = channel.upstream = new SseEventSource(upstreamUrl, opts.upstream);
+    var state = { up: null, error: null, lastEventId: upstream.lastEventId };
+
+    var updateStatus = function() {
+        var up = upstream.readyState === SseEventSource.OPEN;
+        if (state.up === up) {
+            return;
+        }
+
+        state.up = up;
+        if (up) {
+            channel.emit('upstream-up', channel);
+        } else {
+            channel.emit('upstream-down', channel, state.error);
+        }
+
+        if (opts.statusEvent) {
+            channel.send({ event: opts.statusEvent, data: up ? 'up' : 'down' }, channel.getClients());
+        }
+    };
+
+    upstream.on('open', function() {
+        state.error = null;
+        updateStatus();
+    });
+
+    upstream.on('error', function(err) {
+        state.error = err;
+    });
+
+    upstream.on('reconnecting', function(delay) {
+        updateStatus();
+        channel.emit('upstream-reconnecting', channel, delay);
+    });
+
+    // Gives up on responses that aren't event streams, or when the channel is shut down
+    upstream.on('close', function() {
+        if (!channel.shutdownState) {
+            updateStatus();
+        }
+    });
+
+    channel.on('close', function() {
+        upstream.close();
+    });
+
+    relayEvents(channel, upstream.iterate(), state);
+
+    return channel;
+};
+
+/**
+ * Send the events received from the upstream on the channel, until the upstream is closed
+ *
+ * @param {SseChannel} channel  Channel to send the events on
+ * @param {Object}     iterator Async iterator over the events of the upstream
+ * @param {Object}     state    State of the relay, keeping track of the last event ID relayed
+ */
+function relayEvents(channel, iterator, state) {
+    iterator.next().then(function(result) {
+        if (result.done) {
+            return;
+        }
+
+        relayEvent(channel, result.value, state);
+        relayEvents(channel, iterator, state);
+    }, _.noop);
+}
+
+/**
+ * Send an event received from the upstream on the channel, keeping its ID
+ *
+ * @param {SseChannel} channel Channel to send the event on
+ * @param {Object}     event   Event received from the upstream
+ * @param {Object}     state   State of the relay, keeping track of the last event ID relayed
+ */
+function relayEvent(channel, event, state) {
+    // Events without an ID of their own carry the ID of the previous event
+    var id = event.lastEventId !== state.lastEventId ? event.lastEventId : null;
+    state.lastEventId = event.lastEventId;
+
+    try {
+        channel.send(_.omit({
+            id: id || undefined,
+            event: event.type === 'message' ? undefined : event.type,
+            data: event.data
+        }, _.isUndefined));
+    } catch (err) {
+        // Invalid events are reported through the `invalid-message`-event of the channel,
+        // anything else (a failing serializer, for instance) would otherwise go unnoticed
+        if (err.reason !== 'invalid-message') {
+            channel.emit('error', err);
+        }
+    }
+}
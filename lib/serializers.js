@@ -0,0 +1,100 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Built-in serializers
+ *
+ * Serializers turn the `data` of a message into the string sent to clients. They are given the
+ * data and the message it belongs to, and can be selected by name through the `serializer` and
+ * `serializers`-options of a channel.
+ */
+module.exports = {
+    /**
+     * Send the data as a string. Missing data is sent as an empty string.
+     *
+     * @param  {*} data Data to serialize
+     * @return {String}
+     */
+    string: function(data) {
+        return _.isUndefined(data) || _.isNull(data) ? '' : String(data);
+    },
+
+    /**
+     * Encode the data as JSON
+     *
+     * @param  {*} data Data to serialize
+     * @return {String}
+     */
+    json: function(data) {
+        return JSON.stringify(_.isUndefined(data) ? '' : data);
+    },
+
+    /**
+     * Encode the data as JSON, sending BigInts as strings (as `JSON.stringify()` refuses them)
+     * and dates as ISO 8601 strings, even when they are invalid
+     *
+     * @param  {*} data Data to serialize
+     * @return {String}
+     */
+    'json-extended': function(data) {
+        return JSON.stringify(_.isUndefined(data) ? '' : data, function(key, value) {
+            var original = this[key];
+            if (_.isDate(original)) {
+                return isNaN(original.getTime()) ? String(original) : original.toISOString();
+            }
+
+            return isBigInt(value) ? value.toString() : value;
+        });
+    },
+
+    /**
+     * Encode the data as base64, for binary payloads such as buffers
+     *
+     * @param  {Buffer|String} data Data to serialize
+     * @return {String}
+     */
+    base64: function(data) {
+        return (Buffer.isBuffer(data) ? data : Buffer.from(module.exports.string(data))).toString('base64');
+    },
+
+    /**
+     * Encode the data as JSON, replacing circular references with `[Circular]` and sending
+     * BigInts as strings, so serializing never fails
+     *
+     * @param  {*} data Data to serialize
+     * @return {String}
+     */
+    'safe-json': function(data) {
+        var ancestors = [];
+
+        return JSON.stringify(_.isUndefined(data) ? '' : data, function(key, value) {
+            if (isBigInt(value)) {
+                return value.toString();
+            }
+
+            if (!_.isObject(value)) {
+                return value;
+            }
+
+            // `this` is the object containing the value, so anything after it is not an ancestor
+            ancestors.splice(ancestors.indexOf(this) + 1);
+            if (_.contains(ancestors, value)) {
+                return '[Circular]';
+            }
+
+            ancestors.push(value);
+            return value;
+        });
+    }
+};
+
+/**
+ * Check whether the given value is a BigInt
+ *
+ * @param  {*} value Value to check
+ * @return {Boolean}
+ */
+function isBigInt(value) {
+    return Object.prototype.toString.call(value) === '[object BigInt]';
+}
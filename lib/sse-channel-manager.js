@@ -0,0 +1,231 @@
+'use strict';
+
+var _          = require('lodash'),
+    util       = require('util'),
+    events     = require('events'),
+    url        = require('url'),
+    SseChannel = require('./sse-channel');
+
+/**
+ * Server-Sent Events channel manager
+ *
+ * Owns a set of named channels and routes requests to them. Channels can either be added
+ * up front, or be created lazily the first time a request matches a route, such as
+ * `/channel/:name`. Lazily created channels are removed once they have had no connections
+ * for a while, so clients requesting arbitrary channel names don't keep them around forever.
+ *
+ * @param {Object} opts             Options for this manager
+ * @param {Number} opts.idleTimeout Milliseconds a lazily created channel may go without
+ *                                  connections before it is removed. Defaults to 60000,
+ *                                  set to 0 to keep channels around forever.
+ */
+var SseChannelManager = function(opts) {
+    opts = opts || {};
+
+    this.idleTimeout = _.isUndefined(opts.idleTimeout) ? 60000 : (opts.idleTimeout | 0);
+    this.channels    = Object.create(null);
+    this.routes      = [];
+    this.idleTimers  = Object.create(null);
+
+    // Allow the request handler to be passed around on its own, ie `http.createServer(handler)`
+    _.bindAll(this, 'handleRequest');
+};
+
+util.inherits(SseChannelManager, events.EventEmitter);
+
+/**
+ * Add a route which creates channels lazily from the request path. The name of the channel is
+ * taken from the `:name`-parameter of the pattern if present, otherwise the path is used.
+ *
+ * The options are shared by every channel created through the route, so objects which belong to
+ * a single channel - a history store - can't be given as an object. Pass a function building the
+ * options for each channel instead.
+ *
+ * @param {String}          pattern Path pattern, where segments starting with `:` are parameters
+ * @param {Object|Function} opts    Options for channels created through this route, or a function
+ *                                  given the name of the channel, returning its options
+ */
+SseChannelManager.prototype.route = function(pattern, opts) {
+    if (opts && opts.historyStore) {
+        throw new Error(
+            'Channels created through a route can\'t share a `historyStore` - ' +
+            'pass a function building the options for each channel instead'
+        );
+    }
+
+    var params = [];
+    var source = pattern.replace(/\/$/, '').split('/').map(function(segment) {
+        if (segment.charAt(0) === ':') {
+            params.push(segment.substr(1));
+            return '([^/]+)';
+        }
+
+        return _.escapeRegExp(segment);
+    }).join('/');
+
+    this.routes.push({
+        regex: new RegExp('^' + source + '/?$'),
+        params: params,
+        opts: opts || {}
+    });
+};
+
+/**
+ * Get the channel with the given name
+ *
+ * @param  {String} name Name of the channel
+ * @return {SseChannel|undefined}
+ */
+SseChannelManager.prototype.getChannel = function(name) {
+    return this.channels[name];
+};
+
+/**
+ * Get all channels owned by this manager
+ *
+ * @return {Array}
+ */
+SseChannelManager.prototype.getChannels = function() {
+    return _.values(this.channels);
+};
+
+/**
+ * Add a channel with the given name, unless it already exists. Channels added this way
+ * are never removed automatically.
+ *
+ * @param  {String} name Name of the channel
+ * @param  {Object} opts Options for the channel, see `SseChannel`
+ * @return {SseChannel} The new channel, or the existing one with the same name
+ */
+SseChannelManager.prototype.addChannel = function(name, opts) {
+    var channel = this.channels[name];
+    if (channel) {
+        return channel;
+    }
+
+    channel = new SseChannel(_.assign({}, opts, { name: name }));
+    this.channels[name] = channel;
+    this.emit('channel-added', channel);
+
+    return channel;
+};
+
+/**
+ * Remove the channel with the given name, shutting it down.
+ * Any clients still connected are disconnected.
+ *
+ * @param {String} name Name of the channel
+ */
+SseChannelManager.prototype.removeChannel = function(name) {
+    var channel = this.channels[name];
+    if (!channel) {
+        return;
+    }
+
+    this.clearIdleTimer(name);
+    delete this.channels[name];
+
+    channel.shutdown();
+
+    this.emit('channel-removed', channel);
+};
+
+/**
+ * Handle a request, adding the client to the channel matching the request path.
+ * If no route matches, `next()` is called, or a 404 is sent if no `next` is given.
+ * Requests with malformed route parameters are answered with a 400.
+ *
+ * @param {Request}  req  Request of the client
+ * @param {Response} res  Response of the client
+ * @param {Function} next Optional function to call if no route matches the request
+ */
+SseChannelManager.prototype.handleRequest = function(req, res, next) {
+    var path = url.parse(req.url).pathname, match, route;
+
+    for (var i = 0; i < this.routes.length; i++) {
+        match = this.routes[i].regex.exec(path);
+        if (match) {
+            route = this.routes[i];
+            break;
+        }
+    }
+
+    if (!route) {
+        if (next) {
+            return next();
+        }
+
+        res.writeHead(404);
+        return res.end();
+    }
+
+    var params;
+    try {
+        params = _.zipObject(route.params, match.slice(1).map(decodeURIComponent));
+    } catch (e) {
+        // Malformed escape sequences, ie `/channel/%E0%A4%A`
+        res.writeHead(400);
+        return res.end();
+    }
+
+    var name = _.isUndefined(params.name) ? path : params.name;
+
+    var channel = this.channels[name];
+    if (!channel) {
+        channel = this.createLazily(name, _.isFunction(route.opts) ? route.opts(name) : route.opts);
+    }
+
+    channel.addClient(req, res);
+};
+
+/**
+ * Create a channel which is removed after it has been idle for the configured timeout
+ *
+ * @param  {String} name Name of the channel
+ * @param  {Object} opts Options for the channel
+ * @return {SseChannel}
+ */
+SseChannelManager.prototype.createLazily = function(name, opts) {
+    var channel = this.addChannel(name, opts);
+    if (!this.idleTimeout) {
+        return channel;
+    }
+
+    var manager = this;
+    channel.on('connect', _.bind(this.clearIdleTimer, this, name));
+    channel.on('disconnect', function() {
+        if (channel.getConnectionCount() <= 0) {
+            manager.startIdleTimer(name);
+        }
+    });
+
+    // Start counting right away, in case the client never manages to connect
+    this.startIdleTimer(name);
+
+    return channel;
+};
+
+/**
+ * Start the timer that removes the given channel when it has been idle for too long
+ *
+ * @param {String} name Name of the channel
+ */
+SseChannelManager.prototype.startIdleTimer = function(name) {
+    this.clearIdleTimer(name);
+    this.idleTimers[name] = setTimeout(
+        _.bind(this.removeChannel, this, name),
+        this.idleTimeout
+    );
+};
+
+/**
+ * Stop the idle timer of the given channel
+ *
+ * @param {String} name Name of the channel
+ */
+SseChannelManager.prototype.clearIdleTimer = function(name) {
+    clearTimeout(this.idleTimers[name]);
+    delete this.idleTimers[name];
+};
+
+module.exports = SseChannelManager;
@@ -3,12 +3,35 @@
 var _      = require('lodash'),
     util   = require('util'),
     events = require('events'),
+    http   = require('http'),
     url    = require('url'),
-    access = require('access-control');
+    access = require('access-control'),
+    SseClient = require('./sse-client'),
+    KeyThrottle = require('./key-throttle'),
+    createHttp2Connection = require('./http2-connection'),
+    MemoryHistoryStore = require('./memory-history-store'),
+    createValidator = require('./message-validator'),
+    ChannelWriteStream = require('./channel-write-stream'),
+    Presence = require('./presence'),
+    serializers = require('./serializers');
 
 // See initializeConnection() for an explanation
 var preambleData = new Array(2057).join('-') + '\n';
 
+// Milliseconds clients are told to wait before reconnecting when the channel is shutting down,
+// and the time we wait for clients to receive the remaining data before disconnecting them
+var DEFAULT_SHUTDOWN_RETRY   = 5000;
+var DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+
+// Milliseconds long-polling requests are held open while waiting for an event
+var DEFAULT_POLL_TIMEOUT = 25000;
+
+// Milliseconds clients are told to wait when they are refused or evicted because of connection limits
+var DEFAULT_OVERFLOW_RETRY = 5000;
+
+// What `send()` can do with messages failing validation
+var VALIDATION_MODES = ['strict', 'lenient'];
+
 /**
  * Server-Sent Events "Channel"
  *
@@ -18,20 +41,88 @@ var preambleData = new Array(2057).join('-') + '\n';
  * a numeric ID. If a client reconnects with a `Last-Event-ID`-header, he receives all messages
  * newer than the given ID.
  *
- * @param {Object}  opts               Options for this SSE-channel
- * @param {String}  opts.name          Name of the channel, for display-purposes
- * @param {Array}   opts.history       An array of messages to pre-populate the history with.
- *                                     Note: Number of items will equal the max history size,
- *                                     where the last elements in the array will be the present
- * @param {Number}  opts.historySize   The number of messages to have in history
- * @param {Number}  opts.retryTimeout  Milliseconds clients should wait before reconnecting
- * @param {Number}  opts.pingInterval  How often the server should send a "ping" to clients
- * @param {Boolean} opts.jsonEncode    Whether the client should auto-encode data as JSON before
- *                                     sending. Defaults to false.
- * @param {Object}  opts.cors          Cross-Origin request options - uses `access-control`-module,
- *                                     see https://www.npmjs.org/package/access-control for the
- *                                     available options. Note that the `Last-Event-ID`-header
- *                                     needs to be allowed. By default we do not allow any origins.
+ * @param {Object}   opts                    Options for this SSE-channel
+ * @param {String}   opts.name               Name of the channel, for display-purposes
+ * @param {Array}    opts.history            An array of messages to pre-populate the history with. Note:
+ *                                           Number of items will equal the max history size, where the last
+ *                                           elements in the array will be the present
+ * @param {Number}   opts.historySize        The number of messages to have in history
+ * @param {Number}   opts.historyMaxAge      Milliseconds messages are kept in the history. Defaults to no limit.
+ * @param {Object}   opts.historyStore       Where to keep the history. Defaults to an in-memory store, see
+ *                                           lib/memory-history-store.js for the interface
+ * @param {String}   opts.idStrategy         How event IDs are compared when clients resume: `numeric`
+ *                                           (default), `lexical` (ie ULIDs) or `opaque`, where the exact ID
+ *                                           is looked up in the history. Only used by the default history
+ *                                           store - pass it to other stores when creating them.
+ * @param {String}   opts.autoId             Generate IDs for messages sent without one: `counter` (a number
+ *                                           which increases with each message, starting after the highest ID
+ *                                           in the history store), `timestamp` (milliseconds and a sequence
+ *                                           number, ie `1424985600000-000001`) or a function given the
+ *                                           message, returning the ID. Defaults to no generated IDs.
+ * @param {Function} opts.snapshot           Function which sends the current state to a client that has missed
+ *                                           events which are no longer in the history, given the client and a
+ *                                           callback. Can also return a promise, or take no callback if it
+ *                                           sends the state synchronously. Missed events are not replayed.
+ * @param {Boolean}  opts.resetOnHistoryGap  Whether to send a `reset`-event instead of the missed events that
+ *                                           are left, if a client has missed events no longer in the history
+ * @param {Object}   opts.coalesce           Limit how often messages with the same key are delivered, so only
+ *                                           the latest value is sent. Messages are keyed by their `key`, or
+ *                                           their event name. Takes the following options:
+ * @param {Number}   opts.coalesce.window    Milliseconds between messages with the same key, for all clients
+ * @param {Number}   opts.coalesce.rate      Maximum number of messages with the same key sent to each client
+ *                                           per second
+ * @param {Function} opts.coalesce.key       Function returning the key of a message, if the default won't do
+ * @param {Number}   opts.pollTimeout        Milliseconds to hold long-polling requests open while waiting for an
+ *                                           event. Defaults to 25 seconds.
+ * @param {Number}   opts.retryTimeout       Milliseconds clients should wait before reconnecting
+ * @param {Number}   opts.pingInterval       How often the server should send a "ping" to clients
+ * @param {String}   opts.serializer         Turns the `data` of messages into the string sent to clients.
+ *                                           Either a function, given the data and the message, or the name
+ *                                           of a built-in serializer: `string` (default), `json`,
+ *                                           `json-extended`, `base64` or `safe-json`. See lib/serializers.js.
+ * @param {Object}   opts.serializers        Serializers to use for specific events, keyed by event name
+ *                                           (`message` for unnamed events). Overrides `serializer`.
+ * @param {Boolean}  opts.jsonEncode         Deprecated, same as `serializer: 'json'`
+ * @param {Object}   opts.schemas            JSON Schemas the data of messages is validated against before
+ *                                           they are sent, keyed by event name (`message` for unnamed
+ *                                           events). A function given the data and the message, returning
+ *                                           `false` or throwing if the data is invalid, can also be used.
+ * @param {String}   opts.validation         What `send()` does with invalid messages: `strict` (default)
+ *                                           throws an error, `lenient` sends them anyway. In both cases,
+ *                                           an `invalid-message`-event is emitted.
+ * @param {Object}   opts.presence           Keep track of who is connected, keyed by the identity of the clients,
+ *                                           and announce members joining and leaving. Pass `true`, or the
+ *                                           options described in lib/presence.js.
+ * @param {Object}   opts.adapter            Pub/sub-adapter used to share messages with channels of the
+ *                                           same name in other processes. See lib/cluster-adapter.js for
+ *                                           the interface. Requires the channel to have a name.
+ * @param {Function} opts.filter             Function that decides which events a client receives, given the
+ *                                           request and the event names the client asked for through the
+ *                                           `events`-query parameter (if any). Should return an array of
+ *                                           event names, where `*` matches any characters, or a falsy value
+ *                                           to send all events. Defaults to using the query parameter.
+ * @param {Number}   opts.maxBufferedBytes   How many bytes may be waiting to be written to a client before
+ *                                           it is considered slow. Defaults to no limit.
+ * @param {String}   opts.slowClientPolicy   What to do with slow clients: `drop` messages until the client
+ *                                           catches up (default), `disconnect` the client with a retry hint
+ *                                           or `coalesce` messages into the latest message of each event
+ *                                           name until the client catches up.
+ * @param {Function} opts.authorize          Function that decides whether a client may connect, given the
+ *                                           request and a callback. The callback takes an error and the
+ *                                           identity of the client, or the function can return a promise
+ *                                           resolving to the identity. A falsy identity rejects the client
+ *                                           with a 403, errors reject it with `err.status` (or 500).
+ * @param {Number}   opts.maxConnections     Maximum number of clients connected to the channel at once
+ * @param {Number}   opts.maxConnectionsPerClient Maximum number of connections with the same client key
+ * @param {String}   opts.clientKey          What identifies a client when applying the limit above: `ip`
+ *                                           (default), `identity` (`identity.id`, or the identity itself)
+ *                                           or a function which is given the request and the identity
+ * @param {String}   opts.overflowPolicy     What to do when a limit is reached - `reject` (default) new
+ *                                           clients with a 503, or `evict` the oldest connections
+ * @param {Object}   opts.cors               Cross-Origin request options - uses `access-control`-module,
+ *                                           see https://www.npmjs.org/package/access-control for the
+ *                                           available options. Note that the `Last-Event-ID`-header needs
+ *                                           to be allowed. By default we do not allow any origins.
  */
 var SseChannel = function(opts) {
     this.cors = access(_.merge({
@@ -40,29 +131,110 @@ var SseChannel = function(opts) {
         headers: ['Last-Event-ID']
     }, opts.cors || {}));
 
-    var jsonEncode = _.isUndefined(opts.jsonEncode) ? false : Boolean(opts.jsonEncode);
-
     this.name         = opts.name;
-    this.jsonEncode   = jsonEncode;
     this.historySize  = opts.historySize  || 500;
+    this.historyMaxAge = opts.historyMaxAge || null;
     this.retryTimeout = opts.retryTimeout || null;
     this.pingInterval = (opts.pingInterval | 0) || 20000;
+    this.pollTimeout  = opts.pollTimeout || DEFAULT_POLL_TIMEOUT;
+
+    this.snapshot          = opts.snapshot || null;
+    this.resetOnHistoryGap = Boolean(opts.resetOnHistoryGap);
+    this.filter       = opts.filter || function(req, events) { return events; };
+    this.authorize    = opts.authorize || null;
+
+    this.maxBufferedBytes = opts.maxBufferedBytes || null;
+    this.slowClientPolicy = opts.slowClientPolicy || 'drop';
+
+    this.maxConnections          = opts.maxConnections || null;
+    this.maxConnectionsPerClient = opts.maxConnectionsPerClient || null;
+    this.clientKey               = opts.clientKey || 'ip';
+    this.overflowPolicy          = opts.overflowPolicy || 'reject';
+
+    this.serializer  = createSerializer(opts.serializer || (opts.jsonEncode ? 'json' : 'string'));
+
+    // Presence events describe members as objects, so they are sent as JSON unless told otherwise
+    var presenceSerializers = opts.presence ? {
+        presence: 'json',
+        'presence-join': 'json',
+        'presence-leave': 'json'
+    } : {};
+
+    this.serializers = _.mapValues(_.assign(presenceSerializers, opts.serializers), createSerializer);
+
+    // Created once the channel is given a JSON Schema, see lib/message-validator.js
+    this.ajv = null;
+    this.validators = _.mapValues(opts.schemas || {}, function(schema) {
+        return createValidator(schema, this);
+    }, this);
+    this.validation = opts.validation || 'strict';
+    if (!_.contains(VALIDATION_MODES, this.validation)) {
+        throw new Error('Unknown validation mode "' + this.validation + '"');
+    }
+
+    this.presence = opts.presence ? new Presence(this, _.isObject(opts.presence) ? opts.presence : {}) : null;
+
+    // Messages with the same key are held back, so only the latest is delivered
+    this.coalesce = opts.coalesce || null;
+    this.throttle = null;
+    if (this.coalesce && this.coalesce.window) {
+        this.throttle = new KeyThrottle(this.coalesce.window, _.partial(dispatch, this, _, undefined));
+    }
+
+    // Timestamp IDs only sort correctly as strings
+    var idStrategy = opts.idStrategy || (opts.autoId === 'timestamp' ? 'lexical' : undefined);
+    this.historyStore = opts.historyStore || new MemoryHistoryStore({ idStrategy: idStrategy });
 
     // Populate history with the entries specified
-    this.history = ((opts.history || [])
+    var onStoreError = _.bind(this.onStoreError, this);
+    (opts.history || [])
         .filter(function(msg) { return msg.id; })
-        .slice(0 - this.historySize)
-        .reverse()
-        .map(function(msg) {
-            return {
+        .forEach(function(msg) {
+            this.historyStore.append(_.omit({
                 id: msg.id,
-                msg: parseMessage(msg, jsonEncode)
-            };
-        })
-    );
+                event: getEventName(msg),
+                msg: parseMessage(msg, getSerializer(this, msg)),
+                expiresAt: getExpiry(this, msg)
+            }, _.isUndefined), onStoreError);
+        }, this);
+
+    this.historyStore.trim(this.historySize, onStoreError);
+
+    this.autoId = createIdGenerator(opts.autoId, this.historyStore, onStoreError);
 
     this.connections = [];
+    this.clientsById = Object.create(null);
+    this.replays = [];
     this.connectionCount = 0;
+    this.shutdownState = null;
+
+    // Counters reported by getStats()
+    this.stats = {
+        messagesSent: 0,
+        bytesSent: 0,
+        pingsSent: 0,
+        replays: 0,
+        eventsReplayed: 0,
+        connects: 0,
+        disconnects: 0,
+        rejections: 0,
+        evictions: 0
+    };
+
+    // Receive messages sent to this channel from other processes
+    this.adapter = opts.adapter || null;
+    if (this.adapter) {
+        if (!this.name) {
+            throw new Error('A channel needs a name in order to use an adapter');
+        }
+
+        var channel = this;
+        this.onAdapterMessage = function(msg) {
+            deliver(channel, msg);
+        };
+
+        this.adapter.subscribe(this.name, this.onAdapterMessage);
+    }
 
     // Start a timer that will ping all connected clients at a given interval
     this.timer = setInterval(this.ping.bind(this), this.pingInterval);
@@ -71,13 +243,58 @@ var SseChannel = function(opts) {
 util.inherits(SseChannel, events.EventEmitter);
 
 /**
- * Add a new client to the channel
+ * Add a new client to the channel. HTTP/2 clients can be added with the request and response
+ * of the compatibility API, or the stream and headers given to the `stream`-event of the server.
  *
- * @param {Request}  req      Request of the client
- * @param {Response} res      Response of the client
- * @param {Function} callback Callback to run when the client has been added
+ * @param {Request}  req              Request of the client, or an `Http2Stream`
+ * @param {Response} res              Response of the client, or the request headers of the `Http2Stream`
+ * @param {Object}   opts             Optional options for the client
+ * @param {Array}    opts.tags        Tags to assign to the client, which can be used to target messages
+ * @param {String}   opts.lastEventId ID of the last event the client received, if it has already been
+ *                                    extracted from the request. Defaults to the `Last-Event-ID`-header.
+ * @param {Boolean}  opts.poll        Whether to serve the client by long-polling, for clients behind
+ *                                    proxies that buffer responses. Defaults to the `evs_poll`-query
+ *                                    parameter. The response ends after the first event(s).
+ * @param {Function} callback         Callback to run when the client has been added. If the client is
+ *                                    rejected, it is given an error - see the `rejected`-event.
  */
-SseChannel.prototype.addClient = function(req, res, callback) {
+SseChannel.prototype.addClient = function(req, res, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    // Serve HTTP/2 streams through a request and response resembling the ones of the `http`-module
+    var stream = createHttp2Connection.isStream(req) ? req : req.stream;
+    if (createHttp2Connection.isStream(stream)) {
+        var connection = createHttp2Connection(stream, req === stream ? res : req.headers);
+        req = connection.request;
+        res = connection.response;
+    }
+
+    var channel = this;
+    var reject = function(err) {
+        rejectClient(res, err);
+        channel.stats.rejections++;
+        channel.emit('rejected', channel, req, err);
+
+        if (callback) {
+            callback(err);
+        }
+    };
+
+    // Refuse new clients while shutting down, telling them when to try again
+    var shuttingDown = function() {
+        var state = channel.shutdownState;
+        return state && createOverflowError('shutting-down', 'Channel is shutting down', state.retry);
+    };
+
+    if (this.shutdownState) {
+        return reject(shuttingDown());
+    }
+
     // Check if this is a cross-origin request, and if we allow it
     if (this.cors(req, res)) {
         if (callback) {
@@ -87,61 +304,79 @@ SseChannel.prototype.addClient = function(req, res, callback) {
         return;
     }
 
-    // amvtek's EventSource polyfill uses the query string to work around some limitations in
-    // Internet Explorer. The last received event ID for instance will be a query parameter
-    // instead of a header, and there's also a bug where IE will need 2kb of data before it
-    // starts dispatching progress events: https://github.com/amvtek/EventSource/wiki/UserGuide
-    var query = url.parse(req.url, true).query || {};
+    authorizeClient(this, req, res, function(err, identity) {
+        // The channel may have started shutting down while the client was being authorized
+        err = err || shuttingDown() || applyConnectionLimits(channel, req, identity);
+        if (err) {
+            return reject(err);
+        }
 
-    // Initialize the connection
-    initializeConnection({
-        request: req,
-        response: res,
-        retry: this.retryTimeout,
-        preamble: query.evs_preamble
+        connectClient(channel, req, res, _.assign({}, opts, { identity: identity }), callback);
     });
+};
 
-    // Add the connection to our pool
-    this.connections.push(res);
-    this.connectionCount++;
-
-    // When the client disconnects, remove the client
-    var removeClient = _.bind(this.removeClient, this, res);
-    req.on('close',  removeClient);
-    req.on('end',    removeClient);
-    res.on('finish', removeClient);
+/**
+ * Remove the client from the channel
+ *
+ * @param {SseClient|Response} client Client to remove, or the response of the client
+ */
+SseChannel.prototype.removeClient = function(client) {
+    // Clients may be removed several times, as both the request and the response signal it
+    client = findClient(this, client);
+    if (!client) {
+        return;
+    }
 
-    // The "last event id" is normally sent as a header,
-    // but various polyfills apply it to the query string
-    var lastEventId = (
-        req.headers['last-event-id'] ||
-        query.evs_last_event_id      ||
-        query.lastEventId            ||
-        0
-    );
+    _.pull(this.connections, client);
+    delete this.clientsById[client.id];
+    _.remove(this.replays, { client: client }).forEach(function(replay) {
+        replay.cancelled = true;
+    });
 
-    // See if the client has requested some history entries
-    if (lastEventId) {
-        this.sendMissedEvents(res, lastEventId);
+    if (client.throttle) {
+        client.throttle.clear();
     }
 
-    this.emit('connect', this, req, res);
+    clearTimeout(client.pollTimer);
 
-    if (callback) {
-        callback();
+    if (this.presence) {
+        this.presence.remove(client);
     }
+
+    this.connectionCount--;
+    this.stats.disconnects++;
+
+    this.emit('disconnect', this, client.response, client);
 };
 
 /**
- * Remove the client from the channel
+ * Get the connected client with the given ID
  *
- * @param {Response} res Response of the client
+ * @param  {String} id ID of the client
+ * @return {SseClient|undefined}
  */
-SseChannel.prototype.removeClient = function(res) {
-    _.pull(this.connections, res);
-    this.connectionCount--;
+SseChannel.prototype.getClient = function(id) {
+    return this.clientsById[id];
+};
+
+/**
+ * Get all clients connected to this channel
+ *
+ * @return {Array} Array of SseClient objects
+ */
+SseChannel.prototype.getClients = function() {
+    return this.connections.slice();
+};
 
-    this.emit('disconnect', this, res);
+/**
+ * Get the members present on this channel, if presence is tracked. Members are identified by the
+ * identity of their clients, so a user with several connections is only listed once.
+ *
+ * @return {Array} Array of members, containing the `id`, `info`, `connections` and `joinedAt`
+ *                 of each member. See lib/presence.js for details.
+ */
+SseChannel.prototype.getPresence = function() {
+    return this.presence ? this.presence.getMembers() : [];
 };
 
 /**
@@ -153,11 +388,42 @@ SseChannel.prototype.getConnectionCount = function() {
     return this.connectionCount;
 };
 
+/**
+ * Get statistics for this channel. Counters start at zero when the channel is created.
+ *
+ * @return {Object} Statistics:
+ *   - `connections`    - Number of active connections
+ *   - `messagesSent`   - Messages sent on the channel, including private messages
+ *   - `bytesSent`      - Bytes written to clients, including pings and missed events
+ *   - `pingsSent`      - Pings sent to keep the connections alive
+ *   - `historySize`    - Entries in the history, or `null` if the history store can't tell
+ *   - `replays`        - Times missed events have been sent to reconnecting clients
+ *   - `eventsReplayed` - Missed events sent to reconnecting clients
+ *   - `connects`       - Clients that have connected
+ *   - `disconnects`    - Clients that have disconnected, including evicted clients
+ *   - `rejections`     - Clients that have been rejected
+ *   - `evictions`      - Clients that have been evicted because of connection limits
+ *   - `clients`        - The `id`, `bufferedBytes`, `bytesSent`, `messagesSent` and `slow`-state
+ *                        of each connected client
+ */
+SseChannel.prototype.getStats = function() {
+    var store = this.historyStore;
+
+    return _.assign({
+        connections: this.connectionCount,
+        historySize: _.isFunction(store.size) ? store.size() : null,
+        clients: this.connections.map(function(client) {
+            return _.pick(client, 'id', 'bufferedBytes', 'bytesSent', 'messagesSent', 'slow');
+        })
+    }, this.stats);
+};
+
 /**
  * Send a "ping" (empty comment) to all clients, to keep the connections alive
  *
  */
 SseChannel.prototype.ping = function() {
+    this.stats.pingsSent++;
     broadcast(this.connections, ':\n');
 };
 
@@ -173,61 +439,189 @@ SseChannel.prototype.retry = function(retryTimeout) {
 };
 
 /**
- * Send a message to all clients on the channel
+ * Validate the data of messages with the given event name before they are sent
  *
- * @param {Object|String} msg Message to send to the client. If `msg` is a string, it is sent
- *                            as-is, without any event ID, retry specification or event name.
- *                            If `msg` is an object, it is possible to specify the following.
- * @param {String} msg.data   Data to send to the client
- * @param {Number} msg.id     ID of the event
- * @param {String} msg.event  Event name
- * @param {String} msg.retry  Retry timeout (same as `retry()`)
- * @param {Array}  clients    Optional array of Response objects - if specified, the message will
- *                            be sent only to these clients, as well as bypassing the history.
+ * @param {String}          event  Name of the event (`message` for unnamed events)
+ * @param {Object|Function} schema JSON Schema or validation function, see the `schemas`-option.
+ *                                 Pass `null` to stop validating the event.
+ */
+SseChannel.prototype.setSchema = function(event, schema) {
+    createValidator.remove(this.validators[event], this);
+
+    if (schema) {
+        this.validators[event] = createValidator(schema, this);
+    } else {
+        delete this.validators[event];
+    }
+};
+
+/**
+ * Send a message to all clients on the channel. If the channel has an adapter, the message is
+ * also published to the channels of the same name in other processes, unless it is targeted.
+ * Messages failing validation are not sent in strict mode, see the `validation`-option.
+ *
+ * @param {Object|String} msg             Message to send to the client. If `msg` is a string, it is
+ *                                        sent as-is, without any event ID, retry specification or
+ *                                        event name. If `msg` is an object, it is possible to specify
+ *                                        the following.
+ * @param {String}        msg.data        Data to send to the client
+ * @param {Number}        msg.id          ID of the event
+ * @param {String}        msg.event       Event name
+ * @param {String}        msg.retry       Retry timeout (same as `retry()`)
+ * @param {Number}        msg.ttl         Milliseconds the message is kept in the history
+ * @param {Date|Number}   msg.expiresAt   Time at which the message is removed from the history
+ * @param {Array|Object}  clients         Optional array of clients (SseClient or Response objects) -
+ *                                        if specified, the message will be sent only to these
+ *                                        clients, as well as bypassing the history. Can also be an
+ *                                        object describing which clients should receive the message:
+ * @param {String|Array}  clients.to      ID(s) of the clients to send the message to
+ * @param {String}        clients.tag     Tag the clients need to have to receive the message
+ * @param {Function}      clients.where   Function which is given a client and returns whether the
+ *                                        client should receive the message
+ * @param {Boolean}       clients.history Whether to add the message to the history, so it is sent to
+ *                                        matching clients when they reconnect. Defaults to false.
+ * @return {Number|String} ID of the message, if it has one - including IDs generated by `autoId`
+ * @throws {Error} If the message is invalid and validation is strict, with `reason` set to `invalid-message`
  */
 SseChannel.prototype.send = function(msg, clients) {
-    var message = parseMessage(msg, this.jsonEncode);
+    var err = validateMessage(this, msg);
+    if (err) {
+        this.emit('invalid-message', this, msg, err);
 
-    if (!clients) {
-        // Remove duplicate entries from the history
-        if (msg.id) {
-            this.history = _.reject(this.history, { id: msg.id });
+        // In lenient mode, the event is the only report of the problem
+        if (this.validation === 'strict') {
+            throw err;
         }
+    }
 
-        // Add the message to history (if not a "private" message)
-        var entry = { id: msg.id, msg: message };
-        if (msg.id && this.history.unshift(entry) > this.historySize) {
-            this.history.pop();
-        }
+    // Generate IDs for messages that could end up in the history
+    var canBeReplayed = !clients || clients.history;
+    if (this.autoId && canBeReplayed && (_.isString(msg) || !msg.id)) {
+        msg = _.assign(_.isString(msg) ? { data: msg } : _.clone(msg), { id: this.autoId(msg) });
     }
 
-    broadcast(clients || this.connections, message);
+    deliver(this, msg, clients);
 
-    this.emit('message', msg, clients);
+    if (!clients && this.adapter) {
+        this.adapter.publish(this.name, msg);
+    }
+
+    return _.isString(msg) ? undefined : msg.id;
 };
 
 /**
- * Send missed events to the specified client
+ * Create an object mode writable stream which sends the objects written to it on this channel,
+ * ie `changeFeed.pipe(channel.createWriteStream({ event: 'row' }))`. The stream waits for clients
+ * to keep up, see `ChannelWriteStream` for details and the available options.
  *
- * @param  {Response} response Response object to use
- * @param  {Number}   lastId   The last event ID received by the client
+ * @param  {Object} opts Options for the stream
+ * @return {ChannelWriteStream}
  */
-SseChannel.prototype.sendMissedEvents = function(response, lastId) {
-    var entries = [];
-    for (var i = 0; i < this.history.length; i++) {
-        if (this.history[i].id <= lastId) {
-            break;
+SseChannel.prototype.createWriteStream = function(opts) {
+    return new ChannelWriteStream(this, opts);
+};
+
+/**
+ * Add an entry to the history store, trimming it to the configured history size
+ *
+ * @param {Object} entry Entry to add, containing the event ID and the serialized message
+ */
+SseChannel.prototype.appendToHistory = function(entry) {
+    var channel = this;
+    this.historyStore.append(entry, function(err) {
+        if (err) {
+            return channel.onStoreError(err);
+        }
+
+        channel.historyStore.trim(channel.historySize, _.bind(channel.onStoreError, channel));
+
+        // Stores are not required to support expiry
+        if (_.isFunction(channel.historyStore.prune)) {
+            channel.historyStore.prune(Date.now(), _.bind(channel.onStoreError, channel));
         }
+    });
+};
+
+/**
+ * Send missed events to the specified client
+ *
+ * @param  {SseClient|Response} client   Client to send the events to, or its response
+ * @param  {Number|String}      lastId   The last event ID received by the client
+ * @param  {Function}           callback Optional callback to run when the missed events have been sent
+ */
+SseChannel.prototype.sendMissedEvents = function(client, lastId, callback) {
+    client = findClient(this, client) || client;
 
-        // Unshift so we send the oldest messages first
-        entries.unshift(this.history[i].msg);
+    // While the history store is being queried, messages sent to the channel are queued
+    // for clients that are not yet connected, so they receive every message in order
+    var replay = { client: client, queue: [] };
+    if (client instanceof SseClient && !this.clientsById[client.id]) {
+        this.replays.push(replay);
     }
 
-    entries.map(function(msg) {
-        response.write(msg);
+    var channel = this;
+    var finish = function(entries) {
+        _.pull(channel.replays, replay);
+
+        // The client might have disconnected while we were waiting
+        if (replay.cancelled) {
+            entries = replay.queue = [];
+        }
+
+        var sent = {};
+        channel.stats.replays++;
+        entries.forEach(function(entry) {
+            sent[entry.id] = true;
+
+            if (writeEntry(client, entry)) {
+                channel.stats.eventsReplayed++;
+            }
+        });
+
+        // Messages sent while querying the store may have been included in the result
+        replay.queue.forEach(function(entry) {
+            if (!entry.id || !sent[entry.id]) {
+                writeEntry(client, entry);
+            }
+        });
+
+        if (callback) {
+            callback();
+        }
+    };
+
+    this.historyStore.since(lastId, function(err, entries, gap) {
+        if (err) {
+            channel.onStoreError(err);
+            return finish([]);
+        }
+
+        // Some of the events the client missed are no longer in the history
+        if (gap && !replay.cancelled) {
+            channel.emit('history-gap', channel, client, lastId);
+
+            if (channel.snapshot || channel.resetOnHistoryGap) {
+                return recoverFromGap(channel, client, _.last(entries), function() {
+                    finish([]);
+                });
+            }
+        }
+
+        finish(entries);
     });
 };
 
+/**
+ * Handle errors reported by the history store
+ *
+ * @param {Error} err Error from the history store, if any
+ */
+SseChannel.prototype.onStoreError = function(err) {
+    if (err) {
+        this.emit('error', err);
+    }
+};
+
 /**
  * Close all connections on this channel
  *
@@ -235,10 +629,613 @@ SseChannel.prototype.sendMissedEvents = function(response, lastId) {
 SseChannel.prototype.close = function() {
     var i = this.connections.length;
     while (i--) {
-        this.connections[i].end();
+        this.connections[i].response.end();
+    }
+};
+
+/**
+ * Shut the channel down gracefully. New clients are refused, connected clients receive the final
+ * event (if any) and are told how long to wait before reconnecting - presumably to another
+ * instance. Once the remaining data has been written (or the timeout passes), the connections
+ * are closed, the ping timer is stopped and a `close`-event is emitted.
+ *
+ * @param  {Object}   opts            Options for the shutdown
+ * @param  {Number}   opts.retry      Milliseconds clients should wait before reconnecting.
+ *                                    Defaults to the retry timeout of the channel, or 5 seconds
+ * @param  {Object}   opts.finalEvent Message to send to all clients before disconnecting them
+ * @param  {Number}   opts.timeout    Milliseconds to wait for data to be written to the clients
+ *                                    before forcefully disconnecting them. Defaults to 5 seconds
+ * @param  {Function} callback        Optional callback to run when the channel has been shut down
+ * @return {Promise|undefined} Promise resolved when the channel has been shut down,
+ *                             if promises are supported by the environment
+ */
+SseChannel.prototype.shutdown = function(opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+
+    if (callback) {
+        this.once('close', function() {
+            callback();
+        });
+    }
+
+    // Only shut down once, but let everyone know when it is done
+    if (this.shutdownState) {
+        return this.shutdownState.promise;
+    }
+
+    var channel = this, state = this.shutdownState = {
+        retry: opts.retry || this.retryTimeout || DEFAULT_SHUTDOWN_RETRY,
+        promise: typeof Promise === 'function' ? new Promise(function(resolve) {
+            channel.once('close', resolve);
+        }) : undefined
+    };
+
+    clearInterval(this.timer);
+
+    if (this.throttle) {
+        this.throttle.clear();
+    }
+
+    if (this.presence) {
+        this.presence.clear();
+    }
+
+    if (this.adapter) {
+        this.adapter.unsubscribe(this.name, this.onAdapterMessage);
+    }
+
+    if (opts.finalEvent) {
+        deliver(this, opts.finalEvent);
+    }
+
+    var clients = getAllClients(this);
+    var remaining = clients.length;
+
+    var finish = _.once(function() {
+        clearTimeout(timeout);
+        channel.emit('close', channel);
+    });
+
+    // Disconnect clients that don't receive the remaining data in time
+    var timeout = setTimeout(function() {
+        clients.forEach(function(client) {
+            if (_.isFunction(client.response.destroy)) {
+                client.response.destroy();
+            }
+        });
+
+        finish();
+    }, opts.timeout || DEFAULT_SHUTDOWN_TIMEOUT);
+
+    clients.forEach(function(client) {
+        var onClosed = _.once(function() {
+            if (--remaining === 0) {
+                finish();
+            }
+        });
+
+        client.response.on('finish', onClosed);
+        client.response.on('close', onClosed);
+        client.response.end('retry: ' + state.retry + '\n');
+    });
+
+    if (!remaining) {
+        process.nextTick(finish);
     }
+
+    return state.promise;
 };
 
+/**
+ * Resolve a serializer to a function
+ *
+ * @param  {String|Function} serializer Function or name of a built-in serializer
+ * @return {Function}
+ */
+function createSerializer(serializer) {
+    if (_.isFunction(serializer)) {
+        return serializer;
+    }
+
+    if (!_.has(serializers, serializer)) {
+        throw new Error('Unknown serializer "' + serializer + '"');
+    }
+
+    return serializers[serializer];
+}
+
+/**
+ * Validate the data of a message against the schema of its event, if any
+ *
+ * @param  {SseChannel}    channel Channel the message is sent on
+ * @param  {Object|String} msg     Message to validate
+ * @return {Error|null} Error describing why the message is invalid, or null if it is valid
+ */
+function validateMessage(channel, msg) {
+    var event = getEventName(msg);
+    var validate = channel.validators[event];
+    var problem = validate && validate(_.isString(msg) ? msg : msg.data, msg);
+    if (!problem) {
+        return null;
+    }
+
+    var err = new Error('Invalid "' + event + '"-message: ' + problem);
+    err.reason = 'invalid-message';
+    err.event = event;
+    return err;
+}
+
+/**
+ * Get the serializer to use for the data of the given message
+ *
+ * @param  {SseChannel}    channel Channel the message is sent on
+ * @param  {Object|String} msg     Message to serialize
+ * @return {Function}
+ */
+function getSerializer(channel, msg) {
+    return channel.serializers[getEventName(msg)] || channel.serializer;
+}
+
+/**
+ * Create a function which generates IDs for messages sent without one
+ *
+ * @param  {String|Function} autoId       ID generation strategy, see the `autoId`-option of `SseChannel`
+ * @param  {Object}          historyStore History store of the channel, which counters continue from
+ * @param  {Function}        onStoreError Function to call if the history store fails
+ * @return {Function|null}
+ */
+function createIdGenerator(autoId, historyStore, onStoreError) {
+    if (!autoId) {
+        return null;
+    }
+
+    if (_.isFunction(autoId)) {
+        return autoId;
+    }
+
+    if (autoId === 'counter' || autoId === true) {
+        // Continue where the history left off, as it may have been pre-populated or persisted.
+        // Entries dropped from the history count as well, as clients may have received them.
+        var counter = 0;
+        historyStore.since(0, function(err, entries) {
+            if (err) {
+                return onStoreError(err);
+            }
+
+            var ids = _.pluck(entries, 'id');
+            if (_.isFunction(historyStore.lastDroppedId)) {
+                ids.push(historyStore.lastDroppedId());
+            }
+
+            counter = _.reduce(ids, function(max, id) {
+                return Number(id) > max ? Number(id) : max;
+            }, counter);
+        });
+
+        return function() {
+            return ++counter;
+        };
+    }
+
+    if (autoId === 'timestamp') {
+        var lastTime = 0, sequence = 0;
+        return function() {
+            // Don't let the clock going backwards break the order of the IDs
+            var time = Math.max(Date.now(), lastTime);
+            sequence = time === lastTime ? sequence + 1 : 0;
+            lastTime = time;
+
+            return time + '-' + _.padLeft(sequence, 6, '0');
+        };
+    }
+
+    throw new Error('Unknown autoId-strategy "' + autoId + '"');
+}
+
+/**
+ * Check whether a new client would exceed the connection limits of the channel. Depending on
+ * the overflow policy, the oldest connections are evicted to make room, or an error is returned.
+ *
+ * @param  {SseChannel} channel  Channel the client wants to connect to
+ * @param  {Request}    req      Request of the client
+ * @param  {*}          identity Identity of the client, as given by the authorization hook
+ * @return {Error|null} Error to reject the client with, if it exceeds a limit
+ */
+function applyConnectionLimits(channel, req, identity) {
+    var limits = [], clients = getAllClients(channel);
+
+    if (channel.maxConnectionsPerClient) {
+        var key = getClientKey(channel, req, identity);
+        limits.push({
+            reason: 'max-connections-per-client',
+            max: channel.maxConnectionsPerClient,
+            clients: clients.filter(function(client) {
+                return getClientKey(channel, client.request, client.identity) === key;
+            })
+        });
+    }
+
+    if (channel.maxConnections) {
+        limits.push({ reason: 'max-connections', max: channel.maxConnections, clients: clients });
+    }
+
+    var retry = channel.retryTimeout || DEFAULT_OVERFLOW_RETRY;
+    for (var i = 0; i < limits.length; i++) {
+        var limit = limits[i];
+
+        // Evicted clients were removed from the channel when enforcing the previous limit
+        var connected = _.intersection(limit.clients, getAllClients(channel));
+        if (connected.length < limit.max) {
+            continue;
+        }
+
+        if (channel.overflowPolicy !== 'evict') {
+            return createOverflowError(limit.reason, 'Too many connections', retry);
+        }
+
+        var oldest = _.sortBy(connected, 'connectedAt').slice(0, connected.length - limit.max + 1);
+        oldest.forEach(_.partial(evictClient, channel, _, limit.reason, retry));
+    }
+
+    return null;
+}
+
+/**
+ * Disconnect a client to make room for a new one, telling it when to reconnect
+ *
+ * @param {SseChannel} channel Channel to evict the client from
+ * @param {SseClient}  client  Client to evict
+ * @param {String}     reason  Limit which was reached
+ * @param {Number}     retry   Milliseconds the client should wait before reconnecting
+ */
+function evictClient(channel, client, reason, retry) {
+    client.response.end('retry: ' + retry + '\n');
+    channel.removeClient(client);
+    channel.stats.evictions++;
+    channel.emit('evicted', channel, client, reason);
+}
+
+/**
+ * Get the key identifying a client when limiting the number of connections per client
+ *
+ * @param  {SseChannel} channel  Channel the client is connecting to
+ * @param  {Request}    req      Request of the client
+ * @param  {*}          identity Identity of the client, as given by the authorization hook
+ * @return {String}
+ */
+function getClientKey(channel, req, identity) {
+    if (_.isFunction(channel.clientKey)) {
+        return String(channel.clientKey(req, identity));
+    }
+
+    if (channel.clientKey === 'identity') {
+        return String(identity && _.has(identity, 'id') ? identity.id : identity);
+    }
+
+    return String(req.socket && req.socket.remoteAddress);
+}
+
+/**
+ * Create an error for rejecting a client with a 503, telling it when to try again
+ *
+ * @param  {String} reason  Machine-readable reason for rejecting the client
+ * @param  {String} message Description of the error
+ * @param  {Number} retry   Milliseconds the client should wait before trying again
+ * @return {Error}
+ */
+function createOverflowError(reason, message, retry) {
+    var err = new Error(message);
+    err.reason = reason;
+    err.status = 503;
+    err.headers = { 'Retry-After': Math.ceil(retry / 1000) };
+    return err;
+}
+
+/**
+ * Get all clients of the channel, including those still receiving missed events
+ *
+ * @param  {SseChannel} channel Channel to get the clients of
+ * @return {Array}
+ */
+function getAllClients(channel) {
+    return channel.connections.concat(_.pluck(channel.replays, 'client'));
+}
+
+/**
+ * Run the authorization hook of the channel (if any) for the given client
+ *
+ * @param {SseChannel} channel  Channel the client wants to connect to
+ * @param {Request}    req      Request of the client
+ * @param {Response}   res      Response of the client
+ * @param {Function}   callback Callback to run with an error (if rejected) and the identity
+ */
+function authorizeClient(channel, req, res, callback) {
+    if (!channel.authorize) {
+        return callback(null, null);
+    }
+
+    // Don't add clients that went away while we were waiting
+    var aborted = false;
+    var onAbort = function() {
+        aborted = true;
+    };
+
+    res.once('close', onAbort);
+
+    var done = _.once(function(err, identity) {
+        res.removeListener('close', onAbort);
+
+        if (!err && !identity) {
+            err = new Error('Forbidden');
+            err.status = 403;
+        }
+
+        if (!err && aborted) {
+            err = new Error('Client disconnected during authorization');
+        }
+
+        callback(err, err ? null : identity);
+    });
+
+    var result;
+    try {
+        result = channel.authorize(req, done);
+    } catch (e) {
+        return done(e);
+    }
+
+    if (result && typeof result.then === 'function') {
+        result.then(function(identity) {
+            done(null, identity);
+        }, function(err) {
+            done(err || new Error('Authorization failed'));
+        });
+    }
+}
+
+/**
+ * Reject a client by responding with the status code and body of the given error
+ *
+ * @param {Response} res Response of the client
+ * @param {Error}    err Error with an optional `status`, `headers` and `body`
+ */
+function rejectClient(res, err) {
+    if (res.headersSent || res.finished) {
+        return;
+    }
+
+    var status = err.status || err.statusCode || 500;
+    res.writeHead(status, _.assign({ 'Content-Type': 'text/plain' }, err.headers));
+    res.end(_.isUndefined(err.body) ? http.STATUS_CODES[status] : String(err.body));
+}
+
+/**
+ * Set up the connection of an authorized client, sending missed events before adding it
+ *
+ * @param {SseChannel} channel  Channel the client connects to
+ * @param {Request}    req      Request of the client
+ * @param {Response}   res      Response of the client
+ * @param {Object}     opts     Options for the client - its `identity` and `tags`
+ * @param {Function}   callback Callback to run when the client has been added
+ */
+function connectClient(channel, req, res, opts, callback) {
+    // amvtek's EventSource polyfill uses the query string to work around some limitations in
+    // Internet Explorer. The last received event ID for instance will be a query parameter
+    // instead of a header, and there's also a bug where IE will need 2kb of data before it
+    // starts dispatching progress events: https://github.com/amvtek/EventSource/wiki/UserGuide
+    var query = url.parse(req.url, true).query || {};
+
+    // The "last event id" is normally sent as a header,
+    // but various polyfills apply it to the query string
+    var lastEventId = (
+        opts.lastEventId             ||
+        req.headers['last-event-id'] ||
+        query.evs_last_event_id      ||
+        query.lastEventId            ||
+        0
+    );
+
+    var client = new SseClient({
+        channel: channel,
+        request: req,
+        response: res,
+        identity: opts.identity,
+        tags: opts.tags,
+        lastEventId: lastEventId,
+        poll: Boolean(opts.poll || query.evs_poll),
+
+        // Clients can ask to only receive certain events, ie `?events=freemem,loadavg`
+        eventFilter: createEventFilter(channel.filter(req, parseEventList(query.events)))
+    });
+
+    // Initialize the connection
+    initializeConnection({
+        request: req,
+        response: res,
+        retry: channel.retryTimeout,
+        preamble: query.evs_preamble
+    });
+
+    channel.connectionCount++;
+
+    // When the client disconnects, remove the client
+    var closed = false;
+    var removeClient = function() {
+        closed = true;
+        channel.removeClient(client);
+    };
+
+    req.on('close',  removeClient);
+    req.on('end',    removeClient);
+    res.on('finish', removeClient);
+
+    // Long-polling clients are sent the next event, or are told to come back when nothing happens
+    if (client.poll) {
+        client.pollTimer = setTimeout(_.bind(client.endPoll, client), channel.pollTimeout);
+    }
+
+    var onReady = function() {
+        // Add the connection to our pool, unless the client left while we were busy
+        if (!closed) {
+            channel.connections.push(client);
+            channel.clientsById[client.id] = client;
+            channel.stats.connects++;
+
+            if (channel.presence) {
+                channel.presence.add(client);
+            }
+
+            channel.emit('connect', channel, req, res, client);
+        }
+
+        if (callback) {
+            callback();
+        }
+    };
+
+    // See if the client has requested some history entries
+    if (lastEventId) {
+        channel.sendMissedEvents(client, lastEventId, onReady);
+    } else {
+        onReady();
+    }
+}
+
+/**
+ * Deliver a message to the clients of the given channel, unless it is held back
+ * because a message with the same key was recently delivered
+ *
+ * @param {SseChannel}    channel Channel to deliver the message on
+ * @param {Object|String} msg     Message to deliver, see `SseChannel.prototype.send()`
+ * @param {Array|Object}  clients Optional array of clients or target to limit delivery to
+ */
+function deliver(channel, msg, clients) {
+    var key = clients ? null : getCoalescingKey(channel, msg);
+    if (key && channel.throttle) {
+        channel.throttle.push(key, msg);
+    } else {
+        dispatch(channel, msg, clients, key);
+    }
+}
+
+/**
+ * Send a message to the clients of the given channel right away, adding it to the history
+ *
+ * @param {SseChannel}    channel Channel to send the message on
+ * @param {Object|String} msg     Message to send, see `SseChannel.prototype.send()`
+ * @param {Array|Object}  clients Optional array of clients or target to limit delivery to
+ * @param {String}        key     Coalescing key of the message, if any
+ */
+function dispatch(channel, msg, clients, key) {
+    var message = parseMessage(msg, getSerializer(channel, msg));
+    var event = getEventName(msg);
+
+    channel.stats.messagesSent++;
+
+    // Messages for an explicit list of clients are "private", and never end up in the history
+    if (_.isArray(clients)) {
+        broadcast(resolveClients(channel, clients), message, event);
+        channel.emit('message', msg, clients);
+        return;
+    }
+
+    var entry = { id: msg.id, event: event, msg: message };
+    if (clients) {
+        entry.target = createTarget(clients);
+    }
+
+    var expiresAt = getExpiry(channel, msg);
+    if (expiresAt) {
+        entry.expiresAt = expiresAt;
+    }
+
+    // Only the latest message with a given key is kept in the history
+    if (key) {
+        entry.key = key;
+    }
+
+    // Add the message to history, unless it is targeted and should not be replayed
+    if (msg.id && (!clients || clients.history)) {
+        channel.appendToHistory(entry);
+    }
+
+    // Clients that are still receiving missed events get the message once they are done
+    channel.replays.forEach(function(replay) {
+        replay.queue.push(entry);
+    });
+
+    broadcast(clients ? _.filter(channel.connections, function(client) {
+        return client.matches(entry.target);
+    }) : channel.connections, message, event, key);
+
+    channel.emit('message', msg, clients);
+}
+
+/**
+ * Get the key used to coalesce the given message with others - its `key`, or its event name
+ *
+ * @param  {SseChannel}    channel Channel the message is sent on
+ * @param  {Object|String} msg     Message to get the key of
+ * @return {String|null}
+ */
+function getCoalescingKey(channel, msg) {
+    if (!channel.coalesce || _.isString(msg)) {
+        return null;
+    }
+
+    var key = channel.coalesce.key ? channel.coalesce.key(msg) : (msg.key || msg.event);
+    return key ? String(key) : null;
+}
+
+/**
+ * Get the time at which a message should be removed from the history, if any.
+ * The earliest of the max age of the channel and the `ttl` and `expiresAt` of the message wins.
+ *
+ * @param  {SseChannel}    channel Channel the message is sent on
+ * @param  {Object|String} msg     Message to get the expiry time of
+ * @return {Number|undefined} Milliseconds since the epoch
+ */
+function getExpiry(channel, msg) {
+    var now = Date.now(), expiries = [];
+
+    if (channel.historyMaxAge) {
+        expiries.push(now + channel.historyMaxAge);
+    }
+
+    if (msg.ttl) {
+        expiries.push(now + Number(msg.ttl));
+    }
+
+    if (msg.expiresAt) {
+        expiries.push(new Date(msg.expiresAt).getTime());
+    }
+
+    return expiries.length ? _.min(expiries) : undefined;
+}
+
+/**
+ * Create a target for a message from the options given to `send()`
+ *
+ * @param  {Object} opts Target options - `to`, `tag` and/or `where`
+ * @return {Object}
+ */
+function createTarget(opts) {
+    var target = _.omit(_.pick(opts, 'to', 'tag', 'where'), _.isUndefined);
+
+    // Functions can't be persisted by all history stores, so remember that there was one.
+    // If the history store loses it, the message is not replayed to anyone.
+    if (target.where) {
+        target.hasPredicate = true;
+    }
+
+    return target;
+}
+
 /**
  * Sends the initial, required headers for the connection
  *
@@ -249,14 +1246,22 @@ SseChannel.prototype.close = function() {
  * @param {Boolean}  opts.preamble  Whether to send a "preamble" of dummy data to the client
  */
 function initializeConnection(opts) {
-    opts.request.socket.setTimeout(0);
-    opts.request.socket.setNoDelay(true);
-    opts.request.socket.setKeepAlive(true);
-    opts.response.writeHead(200, {
+    var headers = {
         'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive'
-    });
+        // Tell proxies and compression middleware not to buffer or compress the stream
+        'Cache-Control': 'no-cache, no-transform'
+    };
+
+    // HTTP/2 multiplexes streams over a single connection, which is not ours to configure.
+    // Connection-specific headers are not allowed either.
+    if (opts.request.httpVersionMajor !== 2) {
+        opts.request.socket.setTimeout(0);
+        opts.request.socket.setNoDelay(true);
+        opts.request.socket.setKeepAlive(true);
+        headers.Connection = 'keep-alive';
+    }
+
+    opts.response.writeHead(200, headers);
 
     opts.response.write(':ok\n\n');
 
@@ -276,24 +1281,196 @@ function initializeConnection(opts) {
 /**
  * Broadcast a packet to all connected clients
  *
- * @param  {Array}  connections Array of connections (response instances) to write to
- * @param  {String} packet      The chunk of data to broadcast
+ * @param  {Array}  clients Array of clients to write to
+ * @param  {String} packet  The chunk of data to broadcast
+ * @param  {String} event   Name of the event contained in the packet, if any. Only clients
+ *                          that accept the event will receive the packet.
+ * @param  {String} key     Coalescing key of the message contained in the packet, if any
  */
-function broadcast(connections, packet) {
-    var i = connections.length;
+function broadcast(clients, packet, event, key) {
+    var i = clients.length;
     while (i--) {
-        connections[i].write(packet);
+        writeTo(clients[i], packet, event, key);
+    }
+}
+
+/**
+ * Write a packet to a client, if it accepts the event contained in the packet. For backwards
+ * compatibility, the client may also be a response which is not connected to the channel.
+ *
+ * @param  {SseClient|Response} client Client to write to
+ * @param  {String}             packet The chunk of data to write
+ * @param  {String}             event  Name of the event contained in the packet, if any
+ * @param  {String}             key    Coalescing key of the message contained in the packet, if any
+ * @return {Boolean} Whether the packet was written (or is held back, to be written later)
+ */
+function writeTo(client, packet, event, key) {
+    if (!(client instanceof SseClient)) {
+        client.write(packet);
+    } else if (!event || client.accepts(event)) {
+        client.write(packet, event, key);
+    } else {
+        return false;
     }
+
+    return true;
+}
+
+/**
+ * Bring a client which has missed events that are no longer in the history up to date, either by
+ * letting the snapshot provider of the channel send it the current state, or by sending it a
+ * `reset`-event telling it to start over. The client is then told to resume from the newest entry.
+ *
+ * @param {SseChannel}         channel  Channel the client is connecting to
+ * @param {SseClient|Response} client   Client to bring up to date
+ * @param {Object}             newest   Newest entry in the history, if any
+ * @param {Function}           callback Callback to run when the client is up to date
+ */
+function recoverFromGap(channel, client, newest, callback) {
+    var resumeFrom = newest ? 'id: ' + newest.id + '\n' : '';
+
+    // Event filters don't apply, as the client needs to know it has to start over
+    if (!channel.snapshot) {
+        var packet = 'event: reset\n' + resumeFrom + 'data: history-gap\n\n';
+        if (client instanceof SseClient) {
+            client.write(packet, 'reset');
+        } else {
+            client.write(packet);
+        }
+        return callback();
+    }
+
+    var done = _.once(function(err) {
+        if (err) {
+            channel.emit('error', err);
+        }
+
+        // An event without data updates the ID of the last event received by the client
+        if (resumeFrom) {
+            client.write(resumeFrom + '\n');
+        }
+
+        callback();
+    });
+
+    // The provider can either call back or return a promise when the snapshot has been sent
+    var result = channel.snapshot(client, done);
+    if (result && _.isFunction(result.then)) {
+        result.then(function() {
+            done();
+        }, done);
+    } else if (channel.snapshot.length < 2) {
+        done();
+    }
+}
+
+/**
+ * Write a history entry to a client, if the client is targeted by the entry
+ *
+ * @param  {SseClient|Response} client Client to write to
+ * @param  {Object}             entry  History entry to write
+ * @return {Boolean} Whether the entry was written
+ */
+function writeEntry(client, entry) {
+    if (entry.target && !(client instanceof SseClient && client.matches(entry.target))) {
+        return false;
+    }
+
+    // Stale messages might not have been pruned from the history yet
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        return false;
+    }
+
+    return writeTo(client, entry.msg, entry.event);
+}
+
+/**
+ * Find the client on the given channel which is, or has the given response
+ *
+ * @param  {SseChannel}         channel Channel to look for the client on
+ * @param  {SseClient|Response} target  Client or response to look for
+ * @return {SseClient|undefined}
+ */
+function findClient(channel, target) {
+    var isClient = target instanceof SseClient;
+    var matches = function(client) {
+        return isClient ? client === target : client.response === target;
+    };
+
+    var replay = _.find(channel.replays, function(item) {
+        return matches(item.client);
+    });
+
+    return _.find(channel.connections, matches) || (replay && replay.client);
+}
+
+/**
+ * Resolve an array of clients or responses into the clients connected to the channel.
+ * Responses which are not connected to the channel are left as-is.
+ *
+ * @param  {SseChannel} channel Channel the clients are connected to
+ * @param  {Array}      clients Array of SseClient or Response objects
+ * @return {Array}
+ */
+function resolveClients(channel, clients) {
+    return clients.map(function(client) {
+        return client instanceof SseClient ? client : (findClient(channel, client) || client);
+    });
+}
+
+/**
+ * Get the name of the event contained in the given message
+ *
+ * @param  {String|Object} msg Message to get the event name of
+ * @return {String} Event name - `message` if the message has no explicit event name
+ */
+function getEventName(msg) {
+    return (typeof msg !== 'string' && msg.event) || 'message';
+}
+
+/**
+ * Parse a comma-separated list of event names, as given in a query parameter
+ *
+ * @param  {String|Array} value Value of the query parameter
+ * @return {Array|null} Array of event names, or null if none were given
+ */
+function parseEventList(value) {
+    if (!value) {
+        return null;
+    }
+
+    var names = _.compact(_.invoke([].concat(value).join(',').split(','), 'trim'));
+    return names.length ? names : null;
+}
+
+/**
+ * Create a function which checks whether an event name matches any of the given patterns
+ *
+ * @param  {Array} patterns Event names, where `*` matches any characters
+ * @return {Function|null} Function taking an event name, or null if all events should match
+ */
+function createEventFilter(patterns) {
+    if (!patterns) {
+        return null;
+    }
+
+    var regex = new RegExp('^(' + [].concat(patterns).map(function(pattern) {
+        return _.escapeRegExp(pattern).replace(/\\\*/g, '.*');
+    }).join('|') + ')$');
+
+    return function(event) {
+        return regex.test(event);
+    };
 }
 
 /**
  * Parse a message object (or string) into a writable data chunk
  *
- * @param  {String|Object} msg        Object or string to parse into sendable message
- * @param  {Boolean}       jsonEncode Whether to JSON-encode data parameter
+ * @param  {String|Object} msg       Object or string to parse into sendable message
+ * @param  {Function}      serialize Function turning the data of the message into a string
  * @return {String}
  */
-function parseMessage(msg, jsonEncode) {
+function parseMessage(msg, serialize) {
     if (typeof msg === 'string') {
         return parseTextData(msg);
     }
@@ -311,12 +1488,7 @@ function parseMessage(msg, jsonEncode) {
         output += 'id: ' + msg.id + '\n';
     }
 
-    var data = msg.data || '';
-    if (jsonEncode) {
-        data = JSON.stringify(data);
-    }
-
-    output += parseTextData(data);
+    output += parseTextData(serialize(msg.data, msg));
 
     return output;
 }
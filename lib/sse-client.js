@@ -0,0 +1,259 @@
+'use strict';
+
+var _      = require('lodash'),
+    crypto = require('crypto'),
+    KeyThrottle = require('./key-throttle');
+
+// Milliseconds slow clients are told to wait before reconnecting, unless the channel specifies it
+var DEFAULT_SLOW_CLIENT_RETRY = 5000;
+
+/**
+ * Server-Sent Events client
+ *
+ * Represents a single connection to a channel, and is created by `SseChannel.addClient()`.
+ * Keeps track of who the client is, what it wants to receive and how much has been sent to it.
+ *
+ * @param {Object}     opts             Options for this client
+ * @param {SseChannel} opts.channel     Channel the client is connected to
+ * @param {Request}    opts.request     Request of the client
+ * @param {Response}   opts.response    Response of the client
+ * @param {Object}     opts.identity    Identity of the client, as given by the authorization hook
+ * @param {Array}      opts.tags        Tags to assign to the client
+ * @param {String}     opts.lastEventId ID of the last event the client received before connecting
+ * @param {Function}   opts.eventFilter Function which decides whether the client wants an event
+ * @param {Boolean}    opts.poll        Whether the client is long-polling, and should be disconnected
+ *                                      once it has been sent an event
+ */
+var SseClient = function(opts) {
+    this.id           = crypto.randomBytes(12).toString('hex');
+    this.channel      = opts.channel;
+    this.request      = opts.request;
+    this.response     = opts.response;
+    this.identity     = opts.identity || null;
+    this.metadata     = {};
+    this.tags         = _.uniq([].concat(opts.tags || []));
+    this.connectedAt  = new Date();
+    this.lastEventId  = opts.lastEventId || null;
+    this.eventFilter  = opts.eventFilter || null;
+    this.bytesSent    = 0;
+    this.messagesSent = 0;
+
+    this.poll      = Boolean(opts.poll);
+    this.pollTimer = null;
+    this.polled    = false;
+
+    // Keep track of data which could not be written to the client right away
+    this.bufferedBytes = 0;
+    this.slow          = false;
+    this.pending       = [];
+
+    // Limit the rate of messages with the same key, if the channel wants to
+    var rate = this.channel.coalesce && this.channel.coalesce.rate;
+    this.throttle = rate ? new KeyThrottle(1000 / rate, _.bind(function(item) {
+        this.write(item.packet, item.event);
+    }, this)) : null;
+
+    this.response.on('drain', _.bind(this.onDrain, this));
+};
+
+/**
+ * Send a message to this client only. The message is not added to the history.
+ *
+ * @param {Object|String} msg Message to send, see `SseChannel.prototype.send()`
+ */
+SseClient.prototype.send = function(msg) {
+    this.channel.send(msg, [this]);
+};
+
+/**
+ * Send a comment to this client. Comments are ignored by EventSource implementations,
+ * but can be useful for debugging or to keep the connection alive.
+ *
+ * @param {String} text Text of the comment
+ */
+SseClient.prototype.comment = function(text) {
+    this.write(String(text).split(/\r\n|\r|\n/).map(function(line) {
+        return ': ' + line + '\n';
+    }).join(''));
+};
+
+/**
+ * Close the connection to this client
+ *
+ */
+SseClient.prototype.close = function() {
+    this.response.end();
+    this.channel.removeClient(this);
+};
+
+/**
+ * End the response of a long-polling client. Events sent in the same tick are included, and if
+ * no events were sent, the client is reminded of the ID to resume from on the next request.
+ *
+ */
+SseClient.prototype.endPoll = function() {
+    if (this.polled) {
+        return;
+    }
+
+    this.polled = true;
+
+    var client = this, resumeId = this.messagesSent ? null : this.lastEventId;
+    process.nextTick(function() {
+        client.response.end(resumeId ? 'id: ' + resumeId + '\n\n' : undefined);
+        client.channel.removeClient(client);
+    });
+};
+
+/**
+ * Add a tag to the client
+ *
+ * @param {String} tag Tag to add
+ */
+SseClient.prototype.addTag = function(tag) {
+    if (!this.hasTag(tag)) {
+        this.tags.push(tag);
+    }
+};
+
+/**
+ * Remove a tag from the client
+ *
+ * @param {String} tag Tag to remove
+ */
+SseClient.prototype.removeTag = function(tag) {
+    _.pull(this.tags, tag);
+};
+
+/**
+ * Check whether the client has the given tag
+ *
+ * @param  {String} tag Tag to check for
+ * @return {Boolean}
+ */
+SseClient.prototype.hasTag = function(tag) {
+    return _.contains(this.tags, tag);
+};
+
+/**
+ * Check whether the client is targeted by the given message target. All the criteria given in
+ * the target need to match, and a target without any criteria does not match any client.
+ *
+ * @param  {Object}       target       Target of a message
+ * @param  {String|Array} target.to    ID(s) of the targeted clients
+ * @param  {String}       target.tag   Tag the targeted clients need to have
+ * @param  {Function}     target.where Function which returns whether the client is targeted
+ * @return {Boolean}
+ */
+SseClient.prototype.matches = function(target) {
+    if (!target.to && !target.tag && !target.where) {
+        return false;
+    }
+
+    // The predicate might have been lost when persisting the target
+    if (target.hasPredicate && !_.isFunction(target.where)) {
+        return false;
+    }
+
+    return (
+        (!target.to    || _.contains([].concat(target.to), this.id)) &&
+        (!target.tag   || this.hasTag(target.tag)) &&
+        (!target.where || Boolean(target.where(this)))
+    );
+};
+
+/**
+ * Check whether the client wants to receive events with the given name
+ *
+ * @param  {String} event Name of the event
+ * @return {Boolean}
+ */
+SseClient.prototype.accepts = function(event) {
+    return !this.eventFilter || this.eventFilter(event || 'message');
+};
+
+/**
+ * Write a packet to the client, keeping track of how much data is waiting to be written.
+ * If the client has more data waiting than the channel allows, the slow client policy applies.
+ *
+ * @param {String} packet The chunk of data to write
+ * @param {String} event  Name of the event contained in the packet, if any
+ * @param {String} key    Coalescing key of the message contained in the packet, if any. Messages
+ *                        with the same key are held back if the client has received one recently.
+ */
+SseClient.prototype.write = function(packet, event, key) {
+    // Writing to a response which has ended is an error
+    if (this.response.finished) {
+        return;
+    }
+
+    if (key && this.throttle) {
+        this.throttle.push(key, { packet: packet, event: event });
+        return;
+    }
+
+    var maxBufferedBytes = this.channel.maxBufferedBytes;
+    if (maxBufferedBytes && this.bufferedBytes > maxBufferedBytes) {
+        this.onSlow(packet, event);
+        return;
+    }
+
+    var bytes = Buffer.byteLength(packet);
+    this.bytesSent += bytes;
+    this.channel.stats.bytesSent += bytes;
+
+    if (event) {
+        this.messagesSent++;
+    }
+
+    if (event && this.poll) {
+        this.endPoll();
+    }
+
+    // Once the response stops accepting data, count everything written until it drains
+    if (!this.response.write(packet) || this.bufferedBytes) {
+        this.bufferedBytes += bytes;
+    }
+};
+
+/**
+ * Apply the slow client policy of the channel to a packet that could not be written
+ *
+ * @param {String} packet The chunk of data which could not be written
+ * @param {String} event  Name of the event contained in the packet, if any
+ */
+SseClient.prototype.onSlow = function(packet, event) {
+    var channel = this.channel;
+    if (!this.slow) {
+        this.slow = true;
+        channel.emit('slow-client', channel, this, this.bufferedBytes);
+    }
+
+    if (channel.slowClientPolicy === 'disconnect') {
+        this.response.end('retry: ' + (channel.retryTimeout || DEFAULT_SLOW_CLIENT_RETRY) + '\n');
+        channel.removeClient(this);
+    } else if (channel.slowClientPolicy === 'coalesce' && event) {
+        // Only keep the latest packet for each event name, pings and the like are dropped
+        _.remove(this.pending, { event: event });
+        this.pending.push({ event: event, packet: packet });
+    }
+};
+
+/**
+ * Reset the buffer state once all waiting data has been written,
+ * sending any packets that were held back while the client was slow
+ *
+ */
+SseClient.prototype.onDrain = function() {
+    var pending = this.pending;
+
+    this.bufferedBytes = 0;
+    this.slow = false;
+    this.pending = [];
+
+    pending.forEach(function(item) {
+        this.write(item.packet, item.event);
+    }, this);
+};
+
+module.exports = SseClient;
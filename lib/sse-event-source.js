@@ -0,0 +1,409 @@
+'use strict';
+
+var _      = require('lodash'),
+    util   = require('util'),
+    events = require('events'),
+    http   = require('http'),
+    https  = require('https'),
+    url    = require('url'),
+    EventStreamParser = require('./event-stream-parser');
+
+// Milliseconds to wait before reconnecting, unless the server or the options say otherwise
+var DEFAULT_RETRY     = 1000;
+var DEFAULT_MAX_RETRY = 30000;
+
+/**
+ * Server-Sent Events client for node.js
+ *
+ * Connects to an event stream, such as a channel, and dispatches the events it receives to the
+ * listeners added through `addEventListener()` - unnamed events as `message`, others by their name.
+ * Mimics the browser `EventSource` in that `onopen`, `onmessage` and `onerror` can be assigned, and
+ * `addEventListener()` and `close()` are available.
+ *
+ * The client itself emits `open`, `error`, `reconnecting` and `close`. These are kept apart from the
+ * events received from the server, so the server can't fake them by sending events with those names.
+ *
+ * The client reconnects when the connection is lost, backing off exponentially while connecting
+ * fails, and resumes from the last event received through the `Last-Event-ID`-header. It can also
+ * be iterated with `for await`, which closes the client when the loop is exited.
+ *
+ * Errors are emitted as `error`-events if anyone is listening, but are never thrown, as the client
+ * keeps reconnecting. Only non-retryable responses (anything but a stream, 204 or a server error)
+ * close the client.
+ *
+ * @param {String}       streamUrl        URL of the event stream
+ * @param {Object}       opts             Options for the client
+ * @param {Object}       opts.headers     Headers to send with each request
+ * @param {String}       opts.lastEventId ID of the last event received, to resume from
+ * @param {String|Array} opts.events      Names of the events to receive, sent as the `events`-query
+ *                                        parameter. Supports `*` as a wildcard, ie `sys.*`.
+ * @param {Boolean}      opts.poll        Use long-polling (`evs_poll`), reconnecting right away
+ *                                        each time the server ends the response
+ * @param {Number}       opts.retry       Milliseconds to wait before reconnecting. Replaced by the
+ *                                        `retry`-field of the stream, if any. Defaults to 1 second.
+ * @param {Number}       opts.maxRetry    Maximum milliseconds to wait before reconnecting when
+ *                                        backing off. Defaults to 30 seconds.
+ * @param {http.Agent}   opts.agent       Agent to make requests with
+ */
+var SseEventSource = function(streamUrl, opts) {
+    events.EventEmitter.call(this);
+
+    opts = opts || {};
+
+    this.url        = streamUrl;
+    this.headers    = opts.headers || {};
+    this.poll       = Boolean(opts.poll);
+    this.retry      = opts.retry || DEFAULT_RETRY;
+    this.maxRetry   = opts.maxRetry || DEFAULT_MAX_RETRY;
+    this.agent      = opts.agent;
+    this.readyState = SseEventSource.CONNECTING;
+
+    this.lastEventId = opts.lastEventId ? String(opts.lastEventId) : '';
+    this.failures    = 0;
+    this.request     = null;
+    this.timer       = null;
+    this.iterators   = [];
+
+    this.serverEvents = new events.EventEmitter();
+    this.serverEvents.setMaxListeners(0);
+
+    this.target = createTarget(streamUrl, opts);
+    this.parser = new EventStreamParser({
+        lastEventId: this.lastEventId,
+        onEvent: _.bind(this.onEvent, this),
+        onRetry: _.bind(function(retry) {
+            this.retry = retry;
+        }, this)
+    });
+
+    connect(this);
+};
+
+util.inherits(SseEventSource, events.EventEmitter);
+
+SseEventSource.CONNECTING = 0;
+SseEventSource.OPEN       = 1;
+SseEventSource.CLOSED     = 2;
+
+/**
+ * Add a listener for events of the given type received from the server,
+ * like `EventSource.prototype.addEventListener()`
+ *
+ * @param {String}   type     Name of the event
+ * @param {Function} listener Function to call with each event
+ */
+SseEventSource.prototype.addEventListener = function(type, listener) {
+    this.serverEvents.on(type, listener);
+};
+
+/**
+ * Remove a listener added through `addEventListener()`
+ *
+ * @param {String}   type     Name of the event
+ * @param {Function} listener Listener to remove
+ */
+SseEventSource.prototype.removeEventListener = function(type, listener) {
+    this.serverEvents.removeListener(type, listener);
+};
+
+/**
+ * Close the connection, and stop reconnecting
+ *
+ */
+SseEventSource.prototype.close = function() {
+    disconnect(this, null);
+};
+
+/**
+ * Dispatch an event received from the server
+ *
+ * @param {Object} event Event containing the `type`, `data` and `lastEventId`
+ */
+SseEventSource.prototype.onEvent = function(event) {
+    this.lastEventId = event.lastEventId;
+
+    this.iterators.forEach(function(iterator) {
+        iterator.push(event);
+    });
+
+    if (event.type === 'message' && _.isFunction(this.onmessage)) {
+        this.onmessage(event);
+    }
+
+    // Emitting an event named `error` without listeners would throw
+    if (this.serverEvents.listeners(event.type).length) {
+        this.serverEvents.emit(event.type, event);
+    }
+};
+
+/**
+ * Get an async iterator over the events received from now on, ie `for await (var e of source)`.
+ * Ending the iteration early closes the client.
+ *
+ * @return {Object}
+ */
+SseEventSource.prototype.iterate = function() {
+    var source = this, queue = [], waiting = [], failure = null, ended = false;
+
+    var iterator = {
+        push: function(event) {
+            if (waiting.length) {
+                waiting.shift().resolve({ value: event, done: false });
+            } else {
+                queue.push(event);
+            }
+        },
+
+        end: function(err) {
+            ended = true;
+            failure = err;
+            _.pull(source.iterators, iterator);
+
+            waiting.splice(0).forEach(function(waiter) {
+                iterator.next().then(waiter.resolve, waiter.reject);
+            });
+        },
+
+        next: function() {
+            if (queue.length) {
+                return Promise.resolve({ value: queue.shift(), done: false });
+            }
+
+            if (failure) {
+                var err = failure;
+                failure = null;
+                return Promise.reject(err);
+            }
+
+            if (ended) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return new Promise(function(resolve, reject) {
+                waiting.push({ resolve: resolve, reject: reject });
+            });
+        },
+
+        'return': function() {
+            source.close();
+            return Promise.resolve({ value: undefined, done: true });
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+
+    if (this.readyState === SseEventSource.CLOSED) {
+        iterator.end(null);
+    } else {
+        this.iterators.push(iterator);
+    }
+
+    return iterator;
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    SseEventSource.prototype[Symbol.asyncIterator] = SseEventSource.prototype.iterate;
+}
+
+/**
+ * Parse the URL of the stream, adding the query parameters given by the options
+ *
+ * @param  {String} streamUrl URL of the event stream
+ * @param  {Object} opts      Options given to the client
+ * @return {Object} Parsed URL
+ */
+function createTarget(streamUrl, opts) {
+    var target = url.parse(streamUrl, true);
+
+    if (opts.events) {
+        target.query.events = [].concat(opts.events).join(',');
+    }
+
+    if (opts.poll) {
+        target.query.evs_poll = '1';
+    }
+
+    return target;
+}
+
+/**
+ * Connect to the event stream, resuming from the last event received
+ *
+ * @param {SseEventSource} source Client to connect
+ */
+function connect(source) {
+    var target = source.target, query = _.clone(target.query);
+    var headers = _.assign({
+        Accept: 'text/event-stream',
+        'Cache-Control': 'no-cache'
+    }, source.headers);
+
+    // Proxies may strip the header, so the ID is given as a query parameter as well
+    if (source.lastEventId) {
+        headers['Last-Event-ID'] = source.lastEventId;
+        query.evs_last_event_id = source.lastEventId;
+    }
+
+    var transport = target.protocol === 'https:' ? https : http;
+    var req = source.request = transport.request({
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: url.format({ pathname: target.pathname, query: query }),
+        method: 'GET',
+        headers: headers,
+        agent: source.agent
+    });
+
+    // The request can fail, or the response end, in several ways - only reconnect once
+    var onEnd = _.once(function(err, delay) {
+        if (source.request === req) {
+            source.request = null;
+            reconnect(source, err, delay);
+        }
+    });
+
+    req.on('error', onEnd);
+    req.on('response', function(res) {
+        var type = res.headers['content-type'] || '';
+        if (res.statusCode === 204) {
+            res.resume();
+            return disconnect(source, null);
+        }
+
+        if (res.statusCode >= 500) {
+            res.resume();
+            return onEnd(createError(res, 'Server responded with ' + res.statusCode), getRetryAfter(res));
+        }
+
+        if (res.statusCode !== 200 || !/^text\/event-stream/i.test(type)) {
+            res.resume();
+            return disconnect(source, createError(res, 'Expected an event stream, got ' + res.statusCode + ' ' + type));
+        }
+
+        source.readyState = SseEventSource.OPEN;
+        source.failures = 0;
+        source.parser.reset();
+        dispatch(source, 'open', { type: 'open' });
+
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) {
+            source.parser.write(chunk);
+        });
+
+        res.on('end', function() {
+            onEnd(null);
+        });
+
+        res.on('close', function() {
+            onEnd(null);
+        });
+    });
+
+    req.end();
+}
+
+/**
+ * Reconnect after the given delay, or back off exponentially from the retry timeout
+ *
+ * @param {SseEventSource} source Client to reconnect
+ * @param {Error}          err    Error that made the connection fail, if any
+ * @param {Number}         delay  Milliseconds to wait before reconnecting, if specified by the server
+ */
+function reconnect(source, err, delay) {
+    if (source.readyState === SseEventSource.CLOSED) {
+        return;
+    }
+
+    if (_.isUndefined(delay)) {
+        // Long-polling clients are expected to reconnect whenever the server has responded
+        delay = source.poll && !err ? 0 : Math.min(source.maxRetry, source.retry * Math.pow(2, source.failures));
+    }
+
+    source.failures++;
+    source.readyState = SseEventSource.CONNECTING;
+
+    if (err) {
+        dispatch(source, 'error', err);
+    }
+
+    source.emit('reconnecting', delay);
+    source.timer = setTimeout(connect, delay, source);
+}
+
+/**
+ * Close the connection and end any iterators
+ *
+ * @param {SseEventSource} source Client to close
+ * @param {Error}          err    Error that made the client give up, if any
+ */
+function disconnect(source, err) {
+    if (source.readyState === SseEventSource.CLOSED) {
+        return;
+    }
+
+    source.readyState = SseEventSource.CLOSED;
+    clearTimeout(source.timer);
+
+    if (source.request) {
+        source.request.destroy();
+        source.request = null;
+    }
+
+    if (err) {
+        dispatch(source, 'error', err);
+    }
+
+    source.iterators.slice().forEach(function(iterator) {
+        iterator.end(err);
+    });
+
+    source.emit('close');
+}
+
+/**
+ * Call the `on<type>`-handler for an `open`- or `error`-event of the client, if assigned, and emit it.
+ * Errors are only emitted if someone is listening, as they are not thrown.
+ *
+ * @param {SseEventSource} source Client to dispatch the event on
+ * @param {String}         type   Type of the event, `open` or `error`
+ * @param {Object|Error}   event  Event to dispatch
+ */
+function dispatch(source, type, event) {
+    var handler = source['on' + type];
+    if (_.isFunction(handler)) {
+        handler.call(source, event);
+    }
+
+    if (type !== 'error' || source.listeners('error').length) {
+        source.emit(type, event);
+    }
+}
+
+/**
+ * Create an error for an unexpected response
+ *
+ * @param  {Response} res     Response from the server
+ * @param  {String}   message Error message
+ * @return {Error}
+ */
+function createError(res, message) {
+    var err = new Error(message);
+    err.status = res.statusCode;
+    return err;
+}
+
+/**
+ * Get the number of milliseconds the server asks us to wait before reconnecting, if any
+ *
+ * @param  {Response} res Response from the server
+ * @return {Number|undefined}
+ */
+function getRetryAfter(res) {
+    var seconds = parseInt(res.headers['retry-after'], 10);
+    return isNaN(seconds) ? undefined : seconds * 1000;
+}
+
+module.exports = SseEventSource;
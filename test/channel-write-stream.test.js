@@ -0,0 +1,142 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var stream = require('stream');
+var SseChannel = require('../');
+var fakeConnection = require('./util/fake-connection');
+
+describe('channel-write-stream', function() {
+    var channel;
+
+    afterEach(function() {
+        clearInterval(channel.timer);
+    });
+
+    function source(objects) {
+        var readable = new stream.Readable({ objectMode: true });
+        readable._read = function() {
+            readable.push(objects.length ? objects.shift() : null);
+        };
+
+        return readable;
+    }
+
+    it('sends objects written to it as messages', function(done) {
+        channel = new SseChannel({ serializer: 'json' });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        source([
+            { id: 1, data: { foo: 'bar' } },
+            { id: 2, event: 'other', data: 'Custom event' },
+            { name: 'No data-property' },
+            'Text'
+        ]).pipe(channel.createWriteStream({ event: 'row' })).on('finish', function() {
+            var body = conn.res.getBody();
+            assert.ok(body.indexOf('event: row\nid: 1\ndata: {"foo":"bar"}\n\n') > -1);
+            assert.ok(body.indexOf('event: other\nid: 2\ndata: "Custom event"\n\n') > -1);
+            assert.ok(body.indexOf('event: row\ndata: {"name":"No data-property"}\n\n') > -1);
+            assert.ok(body.indexOf('event: row\ndata: "Text"\n\n') > -1);
+            assert.equal(conn.res.finished, false, 'Channel should be kept open by default');
+            done();
+        });
+    });
+
+    it('can map objects to messages using a custom function', function(done) {
+        channel = new SseChannel({});
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        var writable = channel.createWriteStream({
+            map: function(row) {
+                return { id: row.seq, event: row.table, data: row.name };
+            }
+        });
+
+        writable.end({ seq: 42, table: 'users', name: 'Espen' }, function() {
+            assert.ok(conn.res.getBody().indexOf('event: users\nid: 42\ndata: Espen\n\n') > -1);
+            done();
+        });
+    });
+
+    it('waits for clients to write their data before accepting more', function(done) {
+        channel = new SseChannel({});
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+        conn.res.accepting = false;
+
+        var writable = channel.createWriteStream(), written = [];
+        writable.write('First', function() {
+            written.push('First');
+        });
+        writable.write('Second', function() {
+            written.push('Second');
+        });
+
+        setImmediate(function() {
+            assert.deepEqual(written, []);
+            assert.equal(conn.res.getBody().indexOf('Second'), -1);
+
+            conn.res.emit('drain');
+            setImmediate(function() {
+                assert.deepEqual(written, ['First']);
+                assert.ok(conn.res.getBody().indexOf('data: Second\n') > -1);
+
+                // Clients that disconnect are no longer waited for
+                channel.removeClient(conn.res);
+                setImmediate(function() {
+                    assert.deepEqual(written, ['First', 'Second']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('leaves clients that can not keep up to the slow client policy', function(done) {
+        channel = new SseChannel({ maxBufferedBytes: 20, slowClientPolicy: 'drop' });
+
+        var slow = fakeConnection(), fast = fakeConnection();
+        channel.addClient(slow.req, slow.res);
+        channel.addClient(fast.req, fast.res);
+        slow.res.accepting = false;
+
+        var writable = channel.createWriteStream();
+        source(['Some message', 'Another message', 'Last message']).pipe(writable).on('finish', function() {
+            assert.ok(fast.res.getBody().indexOf('data: Last message\n') > -1);
+            assert.ok(slow.res.getBody().indexOf('data: Another message\n') > -1);
+            assert.equal(slow.res.getBody().indexOf('Last message'), -1, 'Message should be dropped');
+            done();
+        });
+    });
+
+    it('can shut the channel down when the stream ends', function(done) {
+        channel = new SseChannel({});
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        var writable = channel.createWriteStream({ end: { retry: 1000, timeout: 50 } });
+        writable.end('Goodbye', function() {
+            assert.ok(conn.res.getBody().indexOf('data: Goodbye\n\nretry: 1000\n') > -1);
+            assert.equal(conn.res.finished, true);
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+    });
+
+    it('emits an error if a message can not be sent', function(done) {
+        channel = new SseChannel({ schemas: { message: { type: 'string' } } });
+
+        var writable = channel.createWriteStream();
+        writable.on('error', function(err) {
+            assert.ok(/Invalid "message"-message/.test(err.message));
+            done();
+        });
+
+        writable.write({ data: 42 });
+    });
+});
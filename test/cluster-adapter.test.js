@@ -0,0 +1,144 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var EventSource = require('../').SseEventSource;
+var SseChannel = require('../');
+var ClusterAdapter = SseChannel.ClusterAdapter;
+var fakeCluster = require('./util/fake-cluster');
+var serverInit = require('./util/server-init');
+
+describe('cluster-adapter', function() {
+    var servers = [], es;
+
+    afterEach(function() {
+        if (es) {
+            es.close();
+        }
+
+        servers.forEach(function(tmp) {
+            clearInterval(tmp.channel.timer);
+            tmp.server.close();
+        });
+
+        servers = [];
+    });
+
+    function forkWorker(cluster) {
+        var worker = cluster.fork();
+        return new ClusterAdapter({ cluster: worker.cluster, process: worker.process });
+    }
+
+    it('relays messages from a worker to the master and all other workers', function(done) {
+        var cluster = fakeCluster();
+        var master = new ClusterAdapter({ cluster: cluster });
+        var workers = [forkWorker(cluster), forkWorker(cluster), forkWorker(cluster)];
+
+        var received = [];
+        var receive = function(name) {
+            return function(msg) {
+                received.push(name + ':' + msg.data);
+            };
+        };
+
+        master.subscribe('foo', receive('master'));
+        workers[0].subscribe('foo', receive('worker0'));
+        workers[1].subscribe('foo', receive('worker1'));
+        workers[2].subscribe('bar', receive('worker2'));
+
+        workers[0].publish('foo', { data: 'Hello' });
+
+        setTimeout(function() {
+            assert.deepEqual(received.sort(), ['master:Hello', 'worker1:Hello']);
+            done();
+        }, 25);
+    });
+
+    it('sends messages from the master to all workers', function(done) {
+        var cluster = fakeCluster();
+        var master = new ClusterAdapter({ cluster: cluster });
+        var workers = [forkWorker(cluster), forkWorker(cluster)];
+
+        var count = 0;
+        var receive = function(msg) {
+            assert.equal(msg, 'Hello');
+            if (++count === 2) {
+                done();
+            }
+        };
+
+        master.subscribe('foo', function() {
+            throw new Error('Master should not receive its own message');
+        });
+
+        workers[0].subscribe('foo', receive);
+        workers[1].subscribe('foo', receive);
+        master.publish('foo', 'Hello');
+    });
+
+    it('handles channels named like properties of objects', function(done) {
+        var cluster = fakeCluster();
+        var master = new ClusterAdapter({ cluster: cluster });
+        var worker = forkWorker(cluster);
+
+        var channel = new SseChannel({ name: 'constructor', adapter: master });
+        clearInterval(channel.timer);
+
+        worker.subscribe('toString', function(msg) {
+            assert.equal(msg, 'Hello');
+            done();
+        });
+
+        master.publish('toString', 'Hello');
+    });
+
+    it('ignores unrelated IPC-messages', function(done) {
+        var cluster = fakeCluster();
+        var master = new ClusterAdapter({ cluster: cluster });
+        var worker = cluster.fork();
+
+        master.subscribe('foo', function() {
+            throw new Error('Should not receive unrelated messages');
+        });
+
+        worker.process.send({ cmd: 'something-else' });
+        setTimeout(done, 25);
+    });
+
+    it('broadcasts messages sent in one worker to clients of every worker', function(done) {
+        var cluster = fakeCluster();
+        // The master relays messages between the workers
+        new ClusterAdapter({ cluster: cluster });
+
+        var ports = [6776, 6777];
+        ports.forEach(function(port) {
+            servers.push(serverInit({
+                port: port,
+                name: 'sysinfo',
+                adapter: forkWorker(cluster)
+            }));
+        });
+
+        es = new EventSource('http://localhost:' + ports[1] + '/sse');
+        es.onopen = function() {
+            servers[0].channel.send({ id: 1, data: 'From worker #1' });
+        };
+
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'From worker #1');
+
+            // The message should also have landed in the history of the other worker
+            servers[1].channel.historyStore.since(0, function(err, entries) {
+                assert.equal(entries.length, 1);
+                assert.equal(entries[0].id, 1);
+                done();
+            });
+        };
+    });
+
+    it('requires channels using an adapter to have a name', function() {
+        assert.throws(function() {
+            new SseChannel({ adapter: new ClusterAdapter({ cluster: fakeCluster() }) });
+        }, /name/);
+    });
+});
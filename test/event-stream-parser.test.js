@@ -0,0 +1,62 @@
+/* global describe, it */
+'use strict';
+
+var assert = require('assert');
+var EventStreamParser = require('../lib/event-stream-parser');
+
+describe('event-stream-parser', function() {
+    function parse(chunks, opts) {
+        var events = [], retries = [];
+        var parser = new EventStreamParser({
+            lastEventId: opts && opts.lastEventId,
+            onEvent: function(event) {
+                events.push(event);
+            },
+            onRetry: function(retry) {
+                retries.push(retry);
+            }
+        });
+
+        chunks.forEach(parser.write, parser);
+        return { events: events, retries: retries, parser: parser };
+    }
+
+    it('parses events with names, IDs and multi-line data', function() {
+        var result = parse([':ok\n\nevent: sys\nid: 1\ndata: foo\ndata: bar\n\ndata:baz\n\n']);
+
+        assert.deepEqual(result.events, [
+            { type: 'sys', data: 'foo\nbar', lastEventId: '1' },
+            { type: 'message', data: 'baz', lastEventId: '1' }
+        ]);
+    });
+
+    it('handles chunks split anywhere, and all kinds of line endings', function() {
+        var result = parse(['\uFEFFda', 'ta: one\r', '\n\r', 'data: two\r\rdata: three\n', '\n', 'data: four']);
+
+        assert.deepEqual(result.events.map(function(event) {
+            return event.data;
+        }), ['one', 'two', 'three']);
+    });
+
+    it('remembers IDs of events without data, and ignores IDs containing NULL', function() {
+        var result = parse(['id: 5\n\nid: 6\u0000\ndata: foo\n\n'], { lastEventId: '4' });
+
+        assert.equal(result.events[0].lastEventId, '5');
+        assert.equal(result.parser.lastEventId, '5');
+    });
+
+    it('reports valid retry timeouts', function() {
+        var result = parse(['retry: 1500\nretry: soon\n:ok\n\n']);
+
+        assert.deepEqual(result.retries, [1500]);
+        assert.deepEqual(result.events, []);
+    });
+
+    it('discards partial events when reset', function() {
+        var result = parse(['id: 1\ndata: part']);
+        result.parser.reset();
+        result.parser.write('data: whole\n\n');
+
+        assert.deepEqual(result.events, [{ type: 'message', data: 'whole', lastEventId: '1' }]);
+    });
+});
@@ -0,0 +1,79 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var express = require('express');
+var compression = require('compression');
+var EventSource = require('../').SseEventSource;
+var SseChannel = require('../');
+
+describe('express-middleware', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var host = 'http://localhost:' + port;
+    var server, channel, es;
+
+    function initServer(opts) {
+        channel = new SseChannel(opts || {});
+
+        var app = express();
+        app.use(compression());
+        app.get('/sse', SseChannel.expressMiddleware(channel));
+        server = app.listen(port, '127.0.0.1');
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+        }
+
+        clearInterval(channel.timer);
+        server.close(done);
+    });
+
+    it('streams messages through compression middleware without buffering', function(done) {
+        initServer();
+
+        channel.on('connect', function() {
+            channel.send('Hello');
+        });
+
+        es = new EventSource(host + '/sse');
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'Hello');
+            done();
+        };
+    });
+
+    it('does not compress the stream', function(done) {
+        initServer();
+
+        var req = http.get({
+            port: port,
+            path: '/sse',
+            headers: { 'Accept-Encoding': 'gzip' }
+        }, function(res) {
+            assert.equal(res.headers['content-type'], 'text/event-stream');
+            assert.equal(res.headers['content-encoding'], undefined);
+
+            req.abort();
+            done();
+        });
+    });
+
+    it('sends missed events given in the "Last-Event-ID"-header or query string', function(done) {
+        initServer({ history: [{ id: 1, data: 'First' }, { id: 2, data: 'Second' }] });
+
+        es = new EventSource(host + '/sse?lastEventId=1');
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'Second');
+
+            es.close();
+            es = new EventSource(host + '/sse', { headers: { 'Last-Event-ID': '0' } });
+            es.onmessage = function(e) {
+                assert.equal(e.data, 'First');
+                done();
+            };
+        };
+    });
+});
@@ -0,0 +1,69 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var fastifyFactory = require('fastify');
+var EventSource = require('../').SseEventSource;
+var SseChannel = require('../');
+
+describe('fastify-plugin', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var host = 'http://localhost:' + port;
+    var fastify, channel, es;
+
+    function initServer(opts, callback) {
+        channel = new SseChannel(opts || {});
+
+        fastify = fastifyFactory();
+        fastify.register(SseChannel.fastifyPlugin, { channel: channel, url: '/sse' });
+        fastify.get('/custom', SseChannel.fastifyPlugin.handler(channel));
+        fastify.listen({ port: port, host: '127.0.0.1' }, callback);
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+        }
+
+        clearInterval(channel.timer);
+        fastify.close(done);
+    });
+
+    it('registers a route for the channel', function(done) {
+        initServer({}, function(err) {
+            assert.ifError(err);
+
+            channel.on('connect', function() {
+                channel.send('Hello');
+            });
+
+            es = new EventSource(host + '/sse');
+            es.onmessage = function(e) {
+                assert.equal(e.data, 'Hello');
+                done();
+            };
+        });
+    });
+
+    it('provides a handler for custom routes which resumes from "Last-Event-ID"', function(done) {
+        initServer({ history: [{ id: 1, data: 'First' }, { id: 2, data: 'Second' }] }, function(err) {
+            assert.ifError(err);
+
+            es = new EventSource(host + '/custom', { headers: { 'Last-Event-ID': '1' } });
+            es.onmessage = function(e) {
+                assert.equal(e.data, 'Second');
+                done();
+            };
+        });
+    });
+
+    it('requires a channel', function(done) {
+        channel = new SseChannel({});
+        fastify = fastifyFactory();
+        fastify.register(SseChannel.fastifyPlugin, { url: '/sse' });
+        fastify.ready(function(err) {
+            assert.ok(/channel/.test(err.message));
+            done();
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/* global afterEach, beforeEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var FileHistoryStore = require('../').FileHistoryStore;
+
+describe('file-history-store', function() {
+    var file;
+
+    beforeEach(function() {
+        file = path.join(os.tmpdir(), 'sse-channel-history-' + process.pid + '-' + Date.now() + '.log');
+    });
+
+    afterEach(function() {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    function entry(id) {
+        return { id: id, msg: 'id: ' + id + '\ndata: Event #' + id + '\n\n' };
+    }
+
+    it('requires a path', function() {
+        assert.throws(function() {
+            new FileHistoryStore({});
+        }, /path/);
+    });
+
+    it('persists entries across instances', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        store.append(entry(1));
+        store.append(entry(2));
+        store.append(entry(3), function(err) {
+            assert.ifError(err);
+
+            new FileHistoryStore({ path: file }).since(1, function(err, entries) {
+                assert.ifError(err);
+                assert.deepEqual(entries, [entry(2), entry(3)]);
+                done();
+            });
+        });
+    });
+
+    it('only keeps the latest entry with the same ID', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        store.append(entry(1));
+        store.append(entry(2));
+        store.append({ id: 1, msg: 'data: Updated\n\n' }, function() {
+            new FileHistoryStore({ path: file }).since(0, function(err, entries) {
+                assert.equal(entries.length, 2);
+                assert.equal(entries[0].id, 2);
+                assert.equal(entries[1].msg, 'data: Updated\n\n');
+                done();
+            });
+        });
+    });
+
+    it('compacts the file when trimming', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        for (var i = 1; i <= 10; i++) {
+            store.append(entry(i));
+        }
+
+        store.trim(3, function(err) {
+            assert.ifError(err);
+
+            var lines = fs.readFileSync(file, { encoding: 'utf8' }).trim().split('\n');
+            assert.equal(lines.length, 4);
+            assert.deepEqual(JSON.parse(lines[0]), { droppedId: 7 });
+            assert.deepEqual(JSON.parse(lines[1]), entry(8));
+            done();
+        });
+    });
+
+    it('remembers dropped entries across instances, to detect gaps', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        for (var i = 1; i <= 10; i++) {
+            store.append(entry(i));
+        }
+
+        store.trim(3, function(err) {
+            assert.ifError(err);
+
+            store = new FileHistoryStore({ path: file });
+            store.since(7, function(err, entries, gap) {
+                assert.equal(entries.length, 3);
+                assert.equal(gap, false);
+
+                store.since(6, function(err, entries, gap) {
+                    assert.equal(entries.length, 3);
+                    assert.equal(gap, true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('removes expired entries from the file when pruning', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        store.append({ id: 1, msg: 'data: Expired\n\n', expiresAt: 1000 });
+        store.append({ id: 2, msg: 'data: Expired\n\n', expiresAt: 2000 });
+        store.append({ id: 3, msg: 'data: Current\n\n', expiresAt: 5000 });
+
+        store.prune(2000, function(err) {
+            assert.ifError(err);
+
+            store = new FileHistoryStore({ path: file });
+            assert.equal(store.size(), 1);
+
+            store.since(0, function(err, entries, gap) {
+                assert.deepEqual(entries.map(function(entry) {
+                    return entry.id;
+                }), [3]);
+                assert.equal(gap, true, 'Clients resuming from before the expired entries missed them');
+                done();
+            });
+        });
+    });
+
+    it('ignores incomplete lines', function(done) {
+        fs.writeFileSync(file, JSON.stringify(entry(1)) + '\n{"id":2,"ms');
+
+        new FileHistoryStore({ path: file }).since(0, function(err, entries) {
+            assert.deepEqual(entries, [entry(1)]);
+            done();
+        });
+    });
+
+    it('can be cleared', function(done) {
+        var store = new FileHistoryStore({ path: file });
+        store.append(entry(1));
+        store.clear(function(err) {
+            assert.ifError(err);
+            assert.equal(fs.readFileSync(file, { encoding: 'utf8' }), '{"droppedId":1}\n');
+
+            store.since(0, function(err, entries) {
+                assert.equal(entries.length, 0);
+                done();
+            });
+        });
+    });
+});
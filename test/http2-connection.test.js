@@ -0,0 +1,163 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var http2 = require('http2');
+var EventSource = require('../').SseEventSource;
+var SseChannel = require('../');
+var fakeConnection = require('./util/fake-connection');
+
+describe('http2-connection', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var http1Port = Number(port) + 1;
+    var servers = [], sessions = [], channel, es;
+
+    function listen(server, serverPort) {
+        servers.push(server.listen(serverPort || port, '127.0.0.1'));
+        return server;
+    }
+
+    function request(path, onResponse, onData) {
+        var session = http2.connect('http://127.0.0.1:' + port);
+        sessions.push(session);
+
+        var req = session.request({ ':path': path });
+        req.setEncoding('utf8');
+        req.on('response', onResponse);
+        req.on('data', onData || function() {});
+        return req;
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+            es = null;
+        }
+
+        clearInterval(channel.timer);
+        sessions.splice(0).forEach(function(session) {
+            session.destroy();
+        });
+
+        var remaining = servers.length;
+        servers.splice(0).forEach(function(server) {
+            server.close(function() {
+                if (--remaining === 0) {
+                    done();
+                }
+            });
+        });
+    });
+
+    it('can add raw streams from the "stream"-event of the server', function(done) {
+        channel = new SseChannel({});
+        listen(http2.createServer()).on('stream', function(stream, headers) {
+            channel.addClient(stream, headers);
+        });
+
+        channel.on('connect', function() {
+            channel.send({ event: 'greeting', data: 'Hello' });
+        });
+
+        var data = '';
+        request('/sse', function(headers) {
+            assert.equal(headers[':status'], 200);
+            assert.equal(headers['content-type'], 'text/event-stream');
+            assert.equal(headers.connection, undefined);
+        }, function(chunk) {
+            data += chunk;
+            if (data.indexOf('data: Hello\n\n') > -1) {
+                assert.ok(data.indexOf('event: greeting\n') > -1);
+                done();
+            }
+        });
+    });
+
+    it('can add clients through the compatibility API', function(done) {
+        channel = new SseChannel({ history: [{ id: 1, data: 'First' }, { id: 2, data: 'Second' }] });
+        listen(http2.createServer(function(req, res) {
+            channel.addClient(req, res);
+        }));
+
+        var data = '';
+        request('/sse?lastEventId=1', function(headers) {
+            assert.equal(headers[':status'], 200);
+            assert.equal(headers.connection, undefined);
+        }, function(chunk) {
+            data += chunk;
+            if (data.indexOf('data: Second\n\n') > -1) {
+                assert.equal(data.indexOf('First'), -1);
+                done();
+            }
+        });
+    });
+
+    it('removes clients when their stream is closed', function(done) {
+        channel = new SseChannel({});
+        listen(http2.createServer()).on('stream', function(stream, headers) {
+            channel.addClient(stream, headers);
+        });
+
+        channel.on('connect', function() {
+            assert.equal(channel.getConnectionCount(), 1);
+            req.close();
+        });
+
+        channel.on('disconnect', function() {
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+
+        var req = request('/sse', function() {});
+    });
+
+    it('rejects HTTP/2 clients with the given status', function(done) {
+        channel = new SseChannel({ maxConnections: 1 });
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        listen(http2.createServer()).on('stream', function(stream, headers) {
+            channel.addClient(stream, headers);
+        });
+
+        request('/sse', function(headers) {
+            assert.equal(headers[':status'], 503);
+            assert.ok(headers['retry-after']);
+            done();
+        });
+    });
+
+    it('serves HTTP/1.1 and HTTP/2 clients side by side', function(done) {
+        channel = new SseChannel({});
+        listen(http2.createServer()).on('stream', function(stream, headers) {
+            channel.addClient(stream, headers);
+        });
+
+        listen(http.createServer(function(req, res) {
+            channel.addClient(req, res);
+        }), http1Port);
+
+        var received = 0;
+        var onMessage = function() {
+            if (++received === 2) {
+                done();
+            }
+        };
+
+        channel.on('connect', function() {
+            if (channel.getConnectionCount() === 2) {
+                channel.send('Hello');
+            }
+        });
+
+        request('/sse', function() {}, function(chunk) {
+            if (chunk.indexOf('data: Hello') > -1) {
+                onMessage();
+            }
+        });
+
+        es = new EventSource('http://localhost:' + http1Port + '/sse');
+        es.onmessage = onMessage;
+    });
+});
@@ -0,0 +1,65 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var Koa = require('koa');
+var EventSource = require('../').SseEventSource;
+var SseChannel = require('../');
+
+describe('koa-middleware', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var host = 'http://localhost:' + port;
+    var server, channel, es, downstream;
+
+    function initServer(opts) {
+        channel = new SseChannel(opts || {});
+        downstream = false;
+
+        var app = new Koa();
+        var sse = SseChannel.koaMiddleware(channel);
+        app.use(function(ctx, next) {
+            return ctx.path === '/sse' ? sse(ctx, next) : next();
+        });
+
+        app.use(function(ctx) {
+            downstream = true;
+            ctx.body = 'Not an event stream';
+        });
+
+        server = app.listen(port, '127.0.0.1');
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+        }
+
+        clearInterval(channel.timer);
+        server.close(done);
+    });
+
+    it('lets the channel write the response', function(done) {
+        initServer();
+
+        channel.on('connect', function() {
+            channel.send({ event: 'greeting', data: 'Hello' });
+        });
+
+        es = new EventSource(host + '/sse');
+        es.addEventListener('greeting', function(e) {
+            assert.equal(e.data, 'Hello');
+            assert.equal(downstream, false, 'Downstream middleware should not be called');
+            done();
+        }, false);
+    });
+
+    it('sends missed events given in the "Last-Event-ID"-header', function(done) {
+        initServer({ history: [{ id: 1, data: 'First' }, { id: 2, data: 'Second' }] });
+
+        es = new EventSource(host + '/sse', { headers: { 'Last-Event-ID': '1' } });
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'Second');
+            done();
+        };
+    });
+});
@@ -0,0 +1,156 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var SseChannel = require('../');
+var fakeConnection = require('./util/fake-connection');
+
+describe('presence', function() {
+    var channel;
+
+    afterEach(function() {
+        channel.shutdown({ timeout: 10 });
+    });
+
+    function initChannel(presence) {
+        channel = new SseChannel({
+            presence: presence,
+            authorize: function(req, callback) {
+                var user = req.headers['x-user'];
+                callback(null, user && { id: user, name: user.toUpperCase() });
+            }
+        });
+    }
+
+    function connect(user, path) {
+        var conn = fakeConnection(path, { 'x-user': user });
+        channel.addClient(conn.req, conn.res);
+        return conn;
+    }
+
+    function getEvents(conn, event) {
+        var regex = new RegExp('event: ' + event + '\\ndata: (.*)\\n\\n', 'g'), events = [], match;
+        while ((match = regex.exec(conn.res.getBody()))) {
+            events.push(JSON.parse(match[1]));
+        }
+
+        return events;
+    }
+
+    it('counts several connections from the same user as a single member', function() {
+        initChannel(true);
+
+        var joined = [];
+        channel.on('presence-join', function(chan, member) {
+            joined.push(member);
+        });
+
+        var first = connect('espen'), second = connect('espen');
+        connect('kristoffer');
+
+        assert.deepEqual(joined, [
+            { id: 'espen', info: null },
+            { id: 'kristoffer', info: null }
+        ]);
+
+        var members = channel.getPresence();
+        assert.equal(members.length, 2);
+        assert.equal(members[0].id, 'espen');
+        assert.deepEqual(members[0].connections, channel.getClients().slice(0, 2).map(function(client) {
+            return client.id;
+        }));
+        assert.ok(members[0].joinedAt instanceof Date);
+
+        // Other connections of the member joining are not told, as they are already present
+        assert.deepEqual(getEvents(first, 'presence-join'), [
+            { id: 'kristoffer', info: null }
+        ]);
+        assert.deepEqual(getEvents(second, 'presence-join'), getEvents(first, 'presence-join'));
+
+        // Identities may contain anything, so they are only published when asked to
+        assert.equal(first.res.getBody().indexOf('KRISTOFFER'), -1);
+    });
+
+    it('sends new clients a snapshot of the members present', function() {
+        initChannel(true);
+
+        connect('espen');
+        var conn = connect('kristoffer');
+
+        assert.deepEqual(getEvents(conn, 'presence'), [[
+            { id: 'espen', info: null },
+            { id: 'kristoffer', info: null }
+        ]]);
+
+        // Long-polling clients would be disconnected by the snapshot
+        conn = connect('espen', '/?evs_poll=1');
+        assert.deepEqual(getEvents(conn, 'presence'), []);
+    });
+
+    it('waits before announcing that members leave, so reconnecting does not flap', function(done) {
+        initChannel({ leaveDelay: 20 });
+
+        var left = [];
+        channel.on('presence-leave', function(chan, member) {
+            left.push(member.id);
+        });
+
+        var observer = connect('kristoffer');
+        var first = connect('espen');
+
+        channel.removeClient(first.res);
+        connect('espen');
+        assert.equal(channel.getPresence().length, 2, 'Member should not leave while reconnecting');
+
+        var tab = connect('espen');
+        channel.getClients().forEach(function(client) {
+            if (client.response !== observer.res) {
+                channel.removeClient(client);
+            }
+        });
+
+        assert.equal(channel.getPresence().length, 2, 'Member should be present until the delay passes');
+
+        setTimeout(function() {
+            assert.deepEqual(left, ['espen']);
+            assert.deepEqual(getEvents(observer, 'presence-leave'), [
+                { id: 'espen', info: null }
+            ]);
+            assert.equal(getEvents(observer, 'presence-join').length, 1, 'Member should only join once');
+            assert.deepEqual(getEvents(tab, 'presence-leave'), []);
+            assert.deepEqual(channel.getPresence().map(function(member) {
+                return member.id;
+            }), ['kristoffer']);
+            done();
+        }, 40);
+    });
+
+    it('can key and describe members using custom functions', function() {
+        initChannel({
+            key: function(client) {
+                return client.request.headers['x-team'];
+            },
+            info: function(client) {
+                return { team: client.request.headers['x-team'] };
+            }
+        });
+
+        var conn = fakeConnection('/', { 'x-user': 'espen', 'x-team': 'core' });
+        channel.addClient(conn.req, conn.res);
+
+        // Clients without a key are not tracked
+        connect('anonymous');
+
+        assert.deepEqual(channel.getPresence().map(function(member) {
+            return { id: member.id, info: member.info };
+        }), [{ id: 'core', info: { team: 'core' } }]);
+    });
+
+    it('is not tracked by default', function() {
+        initChannel();
+        connect('espen');
+
+        assert.deepEqual(channel.getPresence(), []);
+        assert.equal(channel.presence, null);
+    });
+});
@@ -0,0 +1,77 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var SseChannel = require('../');
+var fakeConnection = require('./util/fake-connection');
+
+describe('prometheus-handler', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var server, manager;
+
+    function scrape(channels, callback) {
+        server = http.createServer(SseChannel.prometheusHandler(channels)).listen(port, '127.0.0.1');
+        http.get('http://localhost:' + port + '/metrics', function(res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                body += chunk;
+            });
+
+            res.on('end', function() {
+                callback(res, body);
+            });
+        });
+    }
+
+    afterEach(function(done) {
+        if (manager) {
+            manager.getChannels().forEach(function(channel) {
+                manager.removeChannel(channel.name);
+            });
+        }
+
+        server.close(done);
+    });
+
+    it('serves the statistics of all channels of a manager', function(done) {
+        manager = new SseChannel.SseChannelManager();
+
+        var sysinfo = manager.addChannel('sysinfo');
+        manager.addChannel('say "hi"');
+
+        var conn = fakeConnection();
+        sysinfo.addClient(conn.req, conn.res);
+        sysinfo.send({ id: 1, data: 'Hello' });
+        sysinfo.ping();
+
+        scrape(manager, function(res, body) {
+            assert.ok(/^text\/plain; version=0\.0\.4/.test(res.headers['content-type']));
+            assert.ok(body.indexOf('# TYPE sse_channel_connections gauge\n') > -1);
+            assert.ok(body.indexOf('sse_channel_connections{channel="sysinfo"} 1\n') > -1);
+            assert.ok(body.indexOf('sse_channel_connections{channel="say \\"hi\\""} 0\n') > -1);
+            assert.ok(body.indexOf('sse_channel_messages_sent_total{channel="sysinfo"} 1\n') > -1);
+            assert.ok(body.indexOf('sse_channel_pings_sent_total{channel="sysinfo"} 1\n') > -1);
+            assert.ok(body.indexOf('sse_channel_history_entries{channel="sysinfo"} 1\n') > -1);
+            assert.ok(body.indexOf('sse_channel_connects_total{channel="sysinfo"} 1\n') > -1);
+            done();
+        });
+    });
+
+    it('can be given an array of channels', function(done) {
+        manager = null;
+
+        var channel = new SseChannel({ maxConnections: 1 });
+        clearInterval(channel.timer);
+
+        var first = fakeConnection(), second = fakeConnection();
+        channel.addClient(first.req, first.res);
+        channel.addClient(second.req, second.res);
+
+        scrape([channel], function(res, body) {
+            assert.ok(body.indexOf('sse_channel_rejections_total{channel="0"} 1\n') > -1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var http = require('http');
+var SseChannel = require('../');
+var fakeConnection = require('./util/fake-connection');
+
+describe('relay', function() {
+    var port = Number(process.env.TESTING_PORT || 6775) + 1;
+    var upstreamUrl = 'http://localhost:' + port + '/upstream';
+    var server, upstream, channel;
+
+    function initUpstream(opts, onRequest) {
+        upstream = new SseChannel(opts);
+        server = http.createServer(function(req, res) {
+            if (onRequest) {
+                onRequest(req);
+            }
+
+            upstream.addClient(req, res);
+        }).listen(port, '127.0.0.1');
+    }
+
+    afterEach(function(done) {
+        channel.shutdown({ timeout: 10 });
+        channel = null;
+
+        if (upstream) {
+            upstream.close();
+            clearInterval(upstream.timer);
+            upstream = null;
+        }
+
+        server.close(done);
+    });
+
+    it('rebroadcasts upstream events, keeping their IDs', function(done) {
+        initUpstream({});
+
+        channel = SseChannel.relay(upstreamUrl);
+        channel.on('upstream-up', function() {
+            upstream.send({ id: 1, event: 'price', data: '13' });
+            upstream.send({ data: 'Without ID' });
+            upstream.send({ id: 2, data: 'Two' });
+        });
+
+        var messages = [];
+        channel.on('message', function(msg) {
+            messages.push(msg);
+            if (messages.length < 3) {
+                return;
+            }
+
+            assert.deepEqual(messages, [
+                { id: '1', event: 'price', data: '13' },
+                { data: 'Without ID' },
+                { id: '2', data: 'Two' }
+            ]);
+
+            var conn = fakeConnection('/', { 'last-event-id': '0' });
+            channel.addClient(conn.req, conn.res);
+
+            var body = conn.res.getBody();
+            assert.ok(body.indexOf('event: price\nid: 1\ndata: 13\n\n') > -1);
+            assert.ok(body.indexOf('id: 2\ndata: Two\n\n') > -1);
+            assert.equal(body.indexOf('Without ID'), -1, 'Events without ID should not be replayed');
+            done();
+        });
+    });
+
+    it('reports the upstream going down, and resumes once it is back up', function(done) {
+        var requests = [];
+        initUpstream({ retryTimeout: 20 }, function(req) {
+            requests.push(req);
+        });
+
+        channel = SseChannel.relay(upstreamUrl, { statusEvent: 'upstream' });
+
+        var conn = fakeConnection(), events = [];
+        channel.addClient(conn.req, conn.res);
+
+        channel.on('upstream-down', function() {
+            events.push('down');
+        });
+
+        channel.on('upstream-reconnecting', function(chan, delay) {
+            events.push('reconnecting after ' + delay);
+        });
+
+        channel.on('upstream-up', function() {
+            events.push('up');
+            if (events.length === 1) {
+                upstream.send({ id: 1, data: 'Before' });
+            }
+        });
+
+        channel.on('message', function(msg) {
+            if (msg.data === 'Before') {
+                upstream.close();
+                upstream.send({ id: 2, data: 'While down' });
+            } else if (msg.data === 'While down') {
+                assert.deepEqual(events, ['up', 'down', 'reconnecting after 20', 'up']);
+                assert.equal(requests[1].headers['last-event-id'], '1');
+
+                var body = conn.res.getBody();
+                assert.ok(body.indexOf('event: upstream\ndata: down\n\n') > -1);
+                assert.ok(body.indexOf('event: upstream\ndata: up\n\n') > -1);
+                assert.ok(body.indexOf('id: 2\ndata: While down\n\n') > -1);
+                done();
+            }
+        });
+    });
+
+    it('is not reported as down by upstream events named like its own events', function(done) {
+        initUpstream({});
+
+        channel = SseChannel.relay(upstreamUrl);
+        channel.on('upstream-down', function() {
+            done(new Error('Upstream events should not change the status'));
+        });
+
+        channel.on('upstream-up', function() {
+            upstream.send({ event: 'close', data: 'Closed' });
+            upstream.send({ event: 'reconnecting', data: '0' });
+            upstream.send({ event: 'error', data: 'Failed' });
+            upstream.send({ event: 'done', data: 'Done' });
+        });
+
+        var events = [];
+        channel.on('message', function(msg) {
+            events.push(msg.event);
+            if (msg.event !== 'done') {
+                return;
+            }
+
+            assert.deepEqual(events, ['close', 'reconnecting', 'error', 'done']);
+            assert.equal(channel.upstream.readyState, SseChannel.SseEventSource.OPEN);
+            done();
+        });
+    });
+
+    it('emits errors for events that can not be sent, other than invalid ones', function(done) {
+        initUpstream({});
+
+        channel = SseChannel.relay(upstreamUrl, {
+            schemas: { checked: _.constant(false) },
+            serializers: {
+                broken: function() {
+                    throw new Error('Serializer failed');
+                }
+            }
+        });
+
+        channel.on('upstream-up', function() {
+            upstream.send({ event: 'checked', data: 'Invalid' });
+            upstream.send({ event: 'broken', data: 'Broken' });
+            upstream.send({ event: 'done', data: 'Done' });
+        });
+
+        var errors = [], invalid = [];
+        channel.on('error', function(err) {
+            errors.push(err.message);
+        });
+
+        channel.on('invalid-message', function(chan, msg) {
+            invalid.push(msg.data);
+        });
+
+        channel.on('message', function(msg) {
+            assert.equal(msg.event, 'done');
+            assert.deepEqual(invalid, ['Invalid']);
+            assert.deepEqual(errors, ['Serializer failed']);
+            done();
+        });
+    });
+
+    it('reports upstreams that are not event streams as down', function(done) {
+        server = http.createServer(function(req, res) {
+            res.writeHead(404);
+            res.end();
+        }).listen(port, '127.0.0.1');
+
+        channel = SseChannel.relay(upstreamUrl);
+        channel.on('upstream-down', function(chan, err) {
+            assert.equal(chan, channel);
+            assert.equal(err.status, 404);
+            done();
+        });
+    });
+
+    it('closes the upstream connection when shut down', function(done) {
+        initUpstream({});
+
+        channel = SseChannel.relay(upstreamUrl, { upstream: { lastEventId: '5' } });
+        channel.on('upstream-down', function() {
+            done(new Error('Shutting down should not be reported as the upstream going down'));
+        });
+
+        upstream.on('connect', function(chan, req) {
+            assert.equal(req.headers['last-event-id'], '5');
+
+            channel.shutdown(function() {
+                assert.equal(channel.upstream.readyState, SseChannel.SseEventSource.CLOSED);
+                done();
+            });
+        });
+    });
+});
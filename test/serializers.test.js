@@ -0,0 +1,53 @@
+/* global describe, it */
+'use strict';
+
+var assert = require('assert');
+var serializers = require('../').serializers;
+var bigInt = global.BigInt;
+
+describe('serializers', function() {
+    it('sends data as strings by default', function() {
+        assert.equal(serializers.string('Foo'), 'Foo');
+        assert.equal(serializers.string(0), '0');
+        assert.equal(serializers.string(Buffer.from('Bar')), 'Bar');
+        assert.equal(serializers.string(undefined), '');
+        assert.equal(serializers.string(null), '');
+    });
+
+    it('can encode data as JSON', function() {
+        assert.equal(serializers.json({ foo: ['bar'] }), '{"foo":["bar"]}');
+        assert.equal(serializers.json('Foo'), '"Foo"');
+        assert.equal(serializers.json(undefined), '""');
+    });
+
+    it('can encode BigInts and dates as JSON', function() {
+        var data = {
+            big: bigInt('9007199254740993'),
+            date: new Date(Date.UTC(2015, 1, 27)),
+            invalid: new Date('nope')
+        };
+
+        assert.deepEqual(JSON.parse(serializers['json-extended'](data)), {
+            big: '9007199254740993',
+            date: '2015-02-27T00:00:00.000Z',
+            invalid: 'Invalid Date'
+        });
+    });
+
+    it('can encode buffers and strings as base64', function() {
+        assert.equal(serializers.base64(Buffer.from([0, 1, 255])), 'AAH/');
+        assert.equal(serializers.base64('Foo'), 'Rm9v');
+    });
+
+    it('replaces circular references when safely encoding JSON', function() {
+        var shared = { id: 1 };
+        var data = { shared: [shared, shared], big: bigInt(42) };
+        data.self = data;
+
+        assert.deepEqual(JSON.parse(serializers['safe-json'](data)), {
+            shared: [{ id: 1 }, { id: 1 }],
+            big: '42',
+            self: '[Circular]'
+        });
+    });
+});
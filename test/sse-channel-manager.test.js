@@ -0,0 +1,148 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var EventSource = require('../').SseEventSource;
+var SseChannelManager = require('../').SseChannelManager;
+var MemoryHistoryStore = require('../').MemoryHistoryStore;
+var fakeConnection = require('./util/fake-connection');
+
+describe('sse-channel-manager', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var host = 'http://localhost:' + port;
+    var server, manager, es;
+
+    function initServer(opts) {
+        manager = new SseChannelManager(opts);
+        server = http.createServer(manager.handleRequest).listen(port, '127.0.0.1');
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+        }
+
+        manager.removeAllListeners();
+        manager.getChannels().forEach(function(channel) {
+            manager.removeChannel(channel.name);
+        });
+
+        server.close(done);
+    });
+
+    it('creates channels lazily from the request path', function(done) {
+        initServer();
+        manager.route('/channel/:name', { historySize: 5 });
+
+        manager.on('channel-added', function(channel) {
+            assert.equal(channel.name, 'sysinfo');
+            assert.equal(channel.historySize, 5);
+            assert.strictEqual(manager.getChannel('sysinfo'), channel);
+
+            channel.on('connect', function() {
+                channel.send('Hello');
+            });
+        });
+
+        es = new EventSource(host + '/channel/sysinfo');
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'Hello');
+            done();
+        };
+    });
+
+    it('can build the options for each channel created through a route', function() {
+        initServer();
+
+        assert.throws(function() {
+            manager.route('/shared/:name', { historyStore: new MemoryHistoryStore() });
+        }, /historyStore/);
+
+        manager.route('/channel/:name', function(name) {
+            return { historyStore: new MemoryHistoryStore(), retryTimeout: name.length };
+        });
+
+        manager.handleRequest(fakeConnection('/channel/a').req, fakeConnection().res);
+        manager.handleRequest(fakeConnection('/channel/bb').req, fakeConnection().res);
+
+        var a = manager.getChannel('a'), b = manager.getChannel('bb');
+        assert.notStrictEqual(a.historyStore, b.historyStore);
+        assert.equal(a.retryTimeout, 1);
+        assert.equal(b.retryTimeout, 2);
+    });
+
+    it('routes requests to channels added up front', function(done) {
+        initServer();
+        manager.route('/channel/:name');
+
+        var channel = manager.addChannel('random', { jsonEncode: true });
+        assert.strictEqual(manager.addChannel('random'), channel);
+
+        channel.on('connect', function() {
+            channel.send({ data: { foo: 'bar' } });
+        });
+
+        es = new EventSource(host + '/channel/random/?lastEventId=0');
+        es.onmessage = function(e) {
+            assert.equal(JSON.parse(e.data).foo, 'bar');
+            done();
+        };
+    });
+
+    it('uses the path as channel name if the route has no name-parameter', function(done) {
+        initServer();
+        manager.route('/sse');
+
+        manager.on('channel-added', function(channel) {
+            assert.equal(channel.name, '/sse');
+            done();
+        });
+
+        es = new EventSource(host + '/sse');
+    });
+
+    it('responds with 404 if no route matches', function(done) {
+        initServer();
+        manager.route('/channel/:name');
+
+        http.get(host + '/channel/foo/bar', function(res) {
+            assert.equal(res.statusCode, 404);
+            done();
+        });
+    });
+
+    it('responds with 400 if a route parameter is malformed', function(done) {
+        initServer();
+        manager.route('/channel/:name');
+
+        http.get(host + '/channel/%E0%A4%A', function(res) {
+            assert.equal(res.statusCode, 400);
+            assert.equal(manager.getChannels().length, 0);
+            done();
+        });
+    });
+
+    it('removes lazily created channels when they have been idle for a while', function(done) {
+        initServer({ idleTimeout: 50 });
+        manager.route('/channel/:name');
+
+        var added, permanent = manager.addChannel('permanent');
+        manager.on('channel-added', function(channel) {
+            added = Date.now();
+            channel.on('connect', function() {
+                setTimeout(es.close.bind(es), 75);
+            });
+        });
+
+        manager.on('channel-removed', function(channel) {
+            assert.equal(channel.name, 'lazy');
+            assert.ok(Date.now() - added >= 125, 'Channel should not be removed while connected');
+            assert.equal(manager.getChannel('lazy'), undefined);
+            assert.strictEqual(manager.getChannel('permanent'), permanent);
+            done();
+        });
+
+        es = new EventSource(host + '/channel/lazy');
+    });
+});
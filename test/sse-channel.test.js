@@ -5,8 +5,12 @@ var _ = require('lodash');
 var assert = require('assert');
 var http = require('http');
 var url = require('url');
+var os = require('os');
+var fs = require('fs');
+var SseChannel = require('../');
 var serverInit = require('./util/server-init');
-var EventSource = require('eventsource');
+var fakeConnection = require('./util/fake-connection');
+var EventSource = require('../').SseEventSource;
 
 describe('sse-channel', function() {
     this.timeout(5000);
@@ -27,7 +31,9 @@ describe('sse-channel', function() {
         }
 
         if (server && server.close) {
-            return server.close(done);
+            var closing = server;
+            server = null;
+            return closing.close(done);
         }
 
         done();
@@ -345,6 +351,905 @@ describe('sse-channel', function() {
         };
     });
 
+    it('can use a custom, asynchronous history store', function(done) {
+        var store = new SseChannel.MemoryHistoryStore();
+        var since = store.since;
+        store.since = function(lastId, callback) {
+            // Send a message while the history is being fetched
+            channel.send({ id: 1341, data: 'Event #1341' });
+            setTimeout(since.bind(store, lastId, callback), 25);
+        };
+
+        initServer({ historyStore: store });
+
+        var id = 1337, received = [];
+        for (var i = 0; i < 3; i++) {
+            channel.send({ id: ++id, data: 'Event #' + id });
+        }
+
+        var assertMessages = _.debounce(function() {
+            assert.deepEqual(received, ['Event #1339', 'Event #1340', 'Event #1341']);
+            done();
+        }, 50);
+
+        es = new EventSource(host + path + '?lastEventId=1338');
+        es.onmessage = function(e) {
+            received.push(e.data);
+            assertMessages();
+        };
+    });
+
+    it('can persist history to disk', function(done) {
+        var file = os.tmpdir() + '/sse-channel-test-' + process.pid + '.log';
+        var cleanup = function(err) {
+            fs.unlinkSync(file);
+            done(err);
+        };
+
+        initServer({ historyStore: new SseChannel.FileHistoryStore({ path: file }) });
+
+        var id = 1337;
+        for (var i = 0; i < 6; i++) {
+            channel.send({ id: ++id, data: 'Event #' + id });
+        }
+
+        // Simulate a restart by setting up a new server with a new history store
+        setTimeout(function() {
+            clearInterval(channel.timer);
+            server.close(function() {
+                initServer({ historyStore: new SseChannel.FileHistoryStore({ path: file }) });
+
+                var msgCount = 0;
+                es = new EventSource(host + path + '?lastEventId=1340');
+                es.onmessage = function(e) {
+                    if (++msgCount !== 3) { return; }
+
+                    try {
+                        assert.equal(e.data, 'Event #' + id);
+                        cleanup();
+                    } catch (err) {
+                        cleanup(err);
+                    }
+                };
+            });
+        }, 50);
+    });
+
+    it('compares numeric event IDs as numbers', function() {
+        channel = new SseChannel({ history: [{ id: '9', data: 'Nine' }, { id: '10', data: 'Ten' }] });
+
+        var conn = fakeConnection('/', { 'last-event-id': '9' });
+        channel.addClient(conn.req, conn.res);
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('Nine'), -1);
+        assert.ok(body.indexOf('id: 10\ndata: Ten\n') > -1);
+    });
+
+    it('can compare event IDs lexically', function() {
+        channel = new SseChannel({
+            idStrategy: 'lexical',
+            history: [
+                { id: '01ARZ3NDEKTSV4RRFFQ69G5FAV', data: 'First' },
+                { id: '01BX5ZZKBKACTAV9WEVGEMMVRZ', data: 'Second' },
+                { id: '01BX5ZZKBKACTAV9WEVGEMMVS0', data: 'Third' }
+            ]
+        });
+
+        var conn = fakeConnection('/?lastEventId=01BX5ZZKBKACTAV9WEVGEMMVRZ');
+        channel.addClient(conn.req, conn.res);
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('Second'), -1);
+        assert.ok(body.indexOf('id: 01BX5ZZKBKACTAV9WEVGEMMVS0\ndata: Third\n') > -1);
+    });
+
+    it('resumes after the exact event ID when IDs are opaque', function() {
+        channel = new SseChannel({
+            idStrategy: 'opaque',
+            history: [
+                { id: 'orders-0:42', data: 'First' },
+                { id: 'orders-0:7', data: 'Second' },
+                { id: 'orders-1:3', data: 'Third' }
+            ]
+        });
+
+        var conn = fakeConnection('/', { 'last-event-id': 'orders-0:42' });
+        channel.addClient(conn.req, conn.res);
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('First'), -1);
+        assert.ok(body.indexOf('id: orders-0:7\ndata: Second\n') > -1);
+        assert.ok(body.indexOf('id: orders-1:3\ndata: Third\n') > -1);
+
+        // An ID which is not in the history is treated as older than the history
+        var gaps = 0;
+        channel.on('history-gap', function() {
+            gaps++;
+        });
+
+        conn = fakeConnection('/', { 'last-event-id': 'orders-2:1' });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(conn.res.getBody().match(/data:/g).length, 3);
+        assert.equal(gaps, 0, 'Nothing has been dropped from the history yet');
+
+        // Once entries have been dropped, unknown IDs might have missed them
+        channel.historyStore.trim(2);
+        conn = fakeConnection('/', { 'last-event-id': 'orders-2:1' });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(conn.res.getBody().match(/data:/g).length, 2);
+        assert.equal(gaps, 1);
+
+        conn = fakeConnection('/', { 'last-event-id': 'orders-0:42' });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(gaps, 1, 'Resuming from the dropped entry itself misses nothing');
+    });
+
+    it('throws on unknown ID strategies', function() {
+        assert.throws(function() {
+            channel = new SseChannel({ idStrategy: 'random' });
+        }, /ID strategy/);
+    });
+
+    it('can generate IDs for messages, continuing from the pre-populated history', function() {
+        channel = new SseChannel({ autoId: 'counter', history: [{ id: 5, data: 'Five' }] });
+
+        var msg = { data: 'Six' };
+        assert.equal(channel.send(msg), 6);
+        assert.equal(channel.send('Seven'), 7);
+        assert.equal(channel.send({ id: 'custom', data: 'Custom' }), 'custom');
+        assert.equal(msg.id, undefined, 'Message should not be modified');
+
+        // Private messages are never added to the history, so they don't need an ID
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+        assert.equal(channel.send('Private', [conn.res]), undefined);
+
+        conn = fakeConnection('/', { 'last-event-id': '5' });
+        channel.addClient(conn.req, conn.res);
+
+        var body = conn.res.getBody();
+        assert.ok(body.indexOf('id: 6\ndata: Six\n') > -1);
+        assert.ok(body.indexOf('id: 7\ndata: Seven\n') > -1);
+    });
+
+    it('continues generating IDs from a persisted history', function(done) {
+        var file = os.tmpdir() + '/sse-channel-autoid-' + process.pid + '.log';
+
+        channel = new SseChannel({
+            autoId: 'counter',
+            historyStore: new SseChannel.FileHistoryStore({ path: file })
+        });
+        clearInterval(channel.timer);
+
+        _.times(3, function(i) {
+            channel.send('Event #' + i);
+        });
+
+        // Simulate a restart by creating a new channel with a new history store
+        setTimeout(function() {
+            channel = new SseChannel({
+                autoId: 'counter',
+                historyStore: new SseChannel.FileHistoryStore({ path: file })
+            });
+            clearInterval(channel.timer);
+
+            assert.equal(channel.send('After restart'), 4);
+            fs.unlinkSync(file);
+            done();
+        }, 50);
+    });
+
+    it('does not reuse the IDs of entries dropped from the history when generating IDs', function() {
+        var store = new SseChannel.MemoryHistoryStore();
+        store.append({ id: 1, msg: 'data: One\n\n' });
+        store.append({ id: 2, msg: 'data: Two\n\n' });
+        store.clear();
+        assert.equal(store.lastDroppedId(), 2);
+
+        channel = new SseChannel({ autoId: 'counter', historyStore: store });
+        clearInterval(channel.timer);
+        assert.equal(channel.send('Three'), 3);
+    });
+
+    it('can generate timestamp-based IDs', function() {
+        channel = new SseChannel({ autoId: 'timestamp' });
+
+        var first = channel.send('First'), second = channel.send('Second');
+        assert.ok(/^\d+-\d{6}$/.test(first));
+        assert.ok(second > first, 'IDs should increase');
+
+        var conn = fakeConnection('/', { 'last-event-id': first });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(conn.res.getBody().indexOf('First'), -1);
+        assert.ok(conn.res.getBody().indexOf('id: ' + second + '\ndata: Second\n') > -1);
+    });
+
+    it('can generate IDs using a custom function', function() {
+        var ids = ['a', 'b'];
+        channel = new SseChannel({
+            autoId: function(msg) {
+                assert.equal(msg.data, 'Hello');
+                return ids.shift();
+            }
+        });
+
+        assert.equal(channel.send({ data: 'Hello' }), 'a');
+        assert.equal(channel.send({ data: 'Hello' }), 'b');
+    });
+
+    it('skips and prunes messages in the history once their TTL has passed', function(done) {
+        channel = new SseChannel({});
+        channel.send({ id: 2, data: 'Deploy in progress', ttl: 10 });
+        channel.send({ id: 3, data: 'Still relevant' });
+        channel.send({ id: 4, data: 'Already expired', expiresAt: new Date(Date.now() - 1000) });
+
+        setTimeout(function() {
+            var conn = fakeConnection('/', { 'last-event-id': '1' });
+            channel.addClient(conn.req, conn.res);
+
+            var body = conn.res.getBody();
+            assert.equal(body.indexOf('Deploy in progress'), -1);
+            assert.equal(body.indexOf('Already expired'), -1);
+            assert.ok(body.indexOf('id: 3\ndata: Still relevant\n') > -1);
+
+            channel.send({ id: 5, data: 'Triggers pruning' });
+            assert.deepEqual(_.pluck(channel.historyStore.entries, 'id'), [3, 5]);
+            done();
+        }, 20);
+    });
+
+    it('can limit how long messages are kept in the history', function(done) {
+        channel = new SseChannel({ historyMaxAge: 10, history: [{ id: 1, data: 'Pre-populated' }] });
+        channel.send({ id: 2, data: 'Stale', ttl: 60000 });
+
+        setTimeout(function() {
+            var conn = fakeConnection('/', { 'last-event-id': '0.5' });
+            channel.addClient(conn.req, conn.res);
+            assert.equal(conn.res.getBody().indexOf('data:'), -1);
+            done();
+        }, 20);
+    });
+
+    it('can coalesce messages with the same key for all clients', function(done) {
+        channel = new SseChannel({ coalesce: { window: 30 } });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        channel.send({ event: 'freemem', data: 'first' });
+        channel.send({ event: 'freemem', data: 'stale' });
+        channel.send({ event: 'freemem', data: 'latest' });
+        channel.send({ event: 'loadavg', data: 'first' });
+        channel.send('Unnamed messages are not coalesced');
+
+        var body = conn.res.getBody();
+        assert.ok(body.indexOf('event: freemem\ndata: first') > -1);
+        assert.ok(body.indexOf('event: loadavg\ndata: first') > -1);
+        assert.ok(body.indexOf('Unnamed messages') > -1);
+        assert.equal(body.indexOf('latest'), -1, 'Latest message should be held back');
+
+        setTimeout(function() {
+            body = conn.res.getBody();
+            assert.equal(body.indexOf('stale'), -1);
+            assert.ok(body.indexOf('event: freemem\ndata: latest') > -1);
+            done();
+        }, 50);
+    });
+
+    it('can limit the rate of messages with the same key for each client', function(done) {
+        channel = new SseChannel({ coalesce: { rate: 20 } });
+        clearInterval(channel.timer);
+
+        var first = fakeConnection();
+        channel.addClient(first.req, first.res);
+        channel.send({ key: 'cpu', event: 'stats', data: 'first' });
+        channel.send({ key: 'cpu', event: 'stats', data: 'stale' });
+
+        // Clients are throttled individually
+        var second = fakeConnection();
+        channel.addClient(second.req, second.res);
+        channel.send({ key: 'cpu', event: 'stats', data: 'latest' });
+        channel.send({ key: 'mem', event: 'stats', data: 'memory' });
+
+        assert.equal(first.res.getBody().indexOf('latest'), -1);
+        assert.ok(second.res.getBody().indexOf('latest') > -1);
+        assert.ok(first.res.getBody().indexOf('memory') > -1);
+
+        setTimeout(function() {
+            assert.equal(first.res.getBody().indexOf('stale'), -1);
+            assert.ok(first.res.getBody().indexOf('data: latest') > -1);
+            assert.equal(second.res.getBody().match(/latest/g).length, 1);
+            done();
+        }, 70);
+    });
+
+    it('only keeps the latest message with the same key in the history', function() {
+        channel = new SseChannel({ coalesce: { rate: 10, key: _.property('data.host') } });
+        clearInterval(channel.timer);
+
+        channel.send({ id: 1, data: { host: 'web1', load: 0.5 } });
+        channel.send({ id: 2, data: { host: 'web2', load: 0.2 } });
+        channel.send({ id: 3, data: { host: 'web1', load: 0.8 } });
+
+        assert.deepEqual(_.pluck(channel.historyStore.entries, 'id'), [2, 3]);
+    });
+
+    it('emits "history-gap" when a client has missed events no longer in the history', function() {
+        channel = new SseChannel({ historySize: 2 });
+        clearInterval(channel.timer);
+
+        var gaps = [];
+        channel.on('history-gap', function(chan, client, lastId) {
+            gaps.push(lastId);
+        });
+
+        channel.send({ id: 1, data: 'First' });
+        channel.send({ id: 2, data: 'Second' });
+        channel.send({ id: 3, data: 'Third' });
+
+        var conn = fakeConnection('/', { 'last-event-id': '2' });
+        channel.addClient(conn.req, conn.res);
+        assert.deepEqual(gaps, []);
+
+        // Resuming from right before the oldest entry misses nothing
+        conn = fakeConnection('/', { 'last-event-id': '1' });
+        channel.addClient(conn.req, conn.res);
+        assert.deepEqual(gaps, []);
+        assert.equal(conn.res.getBody().match(/data:/g).length, 2);
+
+        // The rest of the history is replayed by default
+        conn = fakeConnection('/', { 'last-event-id': '0' });
+        channel.addClient(conn.req, conn.res);
+        assert.deepEqual(gaps, ['0']);
+        assert.equal(conn.res.getBody().match(/data:/g).length, 2);
+    });
+
+    it('does not report a gap when resuming from right before the oldest event in the history', function() {
+        channel = new SseChannel({ historySize: 2 });
+        clearInterval(channel.timer);
+
+        var gaps = 0;
+        channel.on('history-gap', function() {
+            gaps++;
+        });
+
+        for (var id = 1; id <= 5; id++) {
+            channel.send({ id: id, data: 'Event #' + id });
+        }
+
+        var conn = fakeConnection('/', { 'last-event-id': '3' });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(gaps, 0);
+        assert.deepEqual(conn.res.getBody().match(/data: .*/g), ['data: Event #4', 'data: Event #5']);
+    });
+
+    it('can send a reset-event to clients that have missed events no longer in the history', function() {
+        channel = new SseChannel({
+            resetOnHistoryGap: true,
+            historySize: 2,
+            history: [{ id: 4, data: 'Fourth' }, { id: 5, data: 'Fifth' }, { id: 6, data: 'Sixth' }]
+        });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection('/?events=update', { 'last-event-id': '3' });
+        channel.addClient(conn.req, conn.res);
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('Fifth'), -1);
+        assert.ok(/event: reset\nid: 6\ndata: history-gap\n\n$/.test(body), 'Should tell the client to reset');
+    });
+
+    it('can send a reset-event when sending missed events to a response', function() {
+        channel = new SseChannel({
+            resetOnHistoryGap: true,
+            historySize: 2,
+            history: [{ id: 4, data: 'Fourth' }, { id: 5, data: 'Fifth' }, { id: 6, data: 'Sixth' }]
+        });
+        clearInterval(channel.timer);
+
+        // Responses take an encoding as their second argument, and throw on anything else
+        var conn = fakeConnection(), write = conn.res.write;
+        conn.res.write = function(chunk, encoding) {
+            assert.ok(!encoding || Buffer.isEncoding(encoding), 'Unknown encoding: ' + encoding);
+            return write.apply(this, arguments);
+        };
+
+        channel.sendMissedEvents(conn.res, 3);
+        assert.ok(/event: reset\nid: 6\ndata: history-gap\n\n$/.test(conn.res.getBody()));
+    });
+
+    it('can send a snapshot to clients that have missed events no longer in the history', function(done) {
+        channel = new SseChannel({
+            historySize: 2,
+            history: [{ id: 4, data: 'Fourth' }, { id: 5, data: 'Fifth' }, { id: 6, data: 'Sixth' }],
+            snapshot: function(client) {
+                assert.equal(client.lastEventId, '3');
+
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        client.send({ event: 'state', data: 'Everything' });
+                        resolve();
+                    }, 10);
+                });
+            }
+        });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection('/', { 'last-event-id': '3' });
+        channel.addClient(conn.req, conn.res, function() {
+            assert.ok(/event: state\ndata: Everything\n\nid: 6\n\ndata: Live\n\n$/.test(conn.res.getBody()));
+            assert.equal(conn.res.getBody().indexOf('Fifth'), -1);
+            done();
+        });
+
+        // Messages sent while the snapshot is being made are sent afterwards
+        channel.send('Live');
+    });
+
+    it('only sends events the client asked for through the "events"-query param', function(done) {
+        initServer();
+
+        var received = [];
+        var assertEvents = _.debounce(function() {
+            assert.deepEqual(received, ['freemem', 'message']);
+            done();
+        }, 25);
+
+        channel.on('connect', function() {
+            channel.send({ event: 'loadavg', data: 1.5 });
+            channel.send({ event: 'freemem', data: 1024 });
+            channel.send('Unnamed');
+        });
+
+        es = new EventSource(host + path + '?events=freemem,message');
+        ['loadavg', 'freemem', 'message'].forEach(function(event) {
+            es.addEventListener(event, function(e) {
+                received.push(e.type);
+                assertEvents();
+            }, false);
+        });
+    });
+
+    it('supports wildcards in event filters, also when sending missed events', function(done) {
+        initServer();
+
+        channel.send({ id: 1, event: 'sys.cpu', data: 'cpu' });
+        channel.send({ id: 2, event: 'app.deploy', data: 'deploy' });
+        channel.send({ id: 3, event: 'sys.mem', data: 'mem' });
+
+        var received = [];
+        var assertEvents = _.debounce(function() {
+            assert.deepEqual(received, ['cpu', 'mem']);
+            done();
+        }, 25);
+
+        es = new EventSource(host + path + '?events=sys.*&lastEventId=0');
+        ['sys.cpu', 'sys.mem', 'app.deploy'].forEach(function(event) {
+            es.addEventListener(event, function(e) {
+                received.push(e.data);
+                assertEvents();
+            }, false);
+        });
+    });
+
+    it('can be given a function which decides which events clients receive', function(done) {
+        initServer({
+            filter: function(req, events) {
+                assert.deepEqual(events, ['drink', 'eat']);
+                return req.headers['x-thirsty'] ? ['drink'] : events;
+            }
+        });
+
+        channel.on('connect', function() {
+            channel.send({ event: 'eat', data: 'Pizza' });
+            channel.send({ event: 'drink', data: 'Beer' });
+        });
+
+        es = new EventSource(host + path + '?events=drink,eat', { headers: { 'X-Thirsty': '1' } });
+        es.addEventListener('eat', function() {
+            throw new Error('Client should not receive "eat"-events');
+        }, false);
+
+        es.addEventListener('drink', function(e) {
+            assert.equal(e.data, 'Beer');
+            done();
+        }, false);
+    });
+
+    it('drops messages for clients that have too much data waiting', function() {
+        channel = new SseChannel({ maxBufferedBytes: 10 });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection(), slow = [];
+        channel.on('slow-client', function(chan, client, bufferedBytes) {
+            slow.push(bufferedBytes);
+        });
+
+        channel.addClient(conn.req, conn.res);
+        conn.res.accepting = false;
+
+        channel.send('First');
+        channel.send('Second');
+        channel.send('Third');
+        assert.deepEqual(slow, [13], 'Expected one slow-client event');
+
+        conn.res.accepting = true;
+        conn.res.emit('drain');
+        channel.send('Fourth');
+
+        var body = conn.res.getBody();
+        assert.ok(body.indexOf('First') > -1);
+        assert.equal(body.indexOf('Second'), -1);
+        assert.equal(body.indexOf('Third'), -1);
+        assert.ok(body.indexOf('Fourth') > -1);
+    });
+
+    it('can disconnect slow clients with a retry hint', function() {
+        channel = new SseChannel({ maxBufferedBytes: 10, slowClientPolicy: 'disconnect', retryTimeout: 3000 });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection(), disconnects = 0;
+        channel.on('disconnect', function() {
+            disconnects++;
+        });
+
+        channel.addClient(conn.req, conn.res);
+        conn.res.accepting = false;
+
+        channel.send('First');
+        channel.send('Second');
+
+        assert.ok(conn.res.finished, 'Response should be ended');
+        assert.ok(/retry: 3000\n$/.test(conn.res.getBody()), 'Response should end with a retry hint');
+        assert.equal(channel.getConnectionCount(), 0);
+        assert.equal(disconnects, 1);
+    });
+
+    it('can coalesce messages for slow clients until they catch up', function() {
+        channel = new SseChannel({ maxBufferedBytes: 10, slowClientPolicy: 'coalesce' });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+        conn.res.accepting = false;
+
+        channel.send({ event: 'loadavg', data: 'initial' });
+        channel.send({ event: 'loadavg', data: 'stale' });
+        channel.send({ event: 'freemem', data: 'latest' });
+        channel.send({ event: 'loadavg', data: 'latest' });
+        channel.ping();
+
+        conn.res.accepting = true;
+        conn.res.emit('drain');
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('stale'), -1);
+        assert.ok(body.indexOf('event: freemem\ndata: latest') < body.indexOf('event: loadavg\ndata: latest'));
+        assert.equal(body.indexOf(':\n'), -1, 'Pings should not be sent to slow clients');
+    });
+
+    it('can authorize clients asynchronously, attaching an identity', function(done) {
+        initServer({
+            authorize: function(req, callback) {
+                setTimeout(function() {
+                    callback(null, { user: req.headers.authorization.replace(/^Bearer /, '') });
+                }, 10);
+            }
+        });
+
+        channel.on('connect', function(chan, req, res, client) {
+            assert.equal(client.identity.user, 'espen');
+            done();
+        });
+
+        es = new EventSource(host + path, { headers: { Authorization: 'Bearer espen' } });
+    });
+
+    it('can authorize clients through a promise', function(done) {
+        var results = [];
+        initServer({
+            authorize: function(req) {
+                return Promise.resolve(req.headers['x-user'] || false);
+            },
+            addClientCallback: function(err) {
+                results.push(err ? err.status : 'ok');
+            }
+        });
+
+        http.get(host + path, function(res) {
+            assert.equal(res.statusCode, 403);
+
+            es = new EventSource(host + path, { headers: { 'X-User': 'espen' } });
+            es.onopen = function() {
+                assert.deepEqual(results, [403, 'ok']);
+                done();
+            };
+        });
+    });
+
+    it('rejects clients with the status, headers and body given by the authorization hook', function(done) {
+        initServer({
+            authorize: function() {
+                var err = new Error('Unauthorized');
+                err.status = 401;
+                err.headers = { 'WWW-Authenticate': 'Bearer' };
+                err.body = 'Log in first';
+                return Promise.reject(err);
+            },
+            addClientCallback: function(err) {
+                assert.equal(err.status, 401);
+            }
+        });
+
+        http.get(host + path, function(res) {
+            var body = '';
+            assert.equal(res.statusCode, 401);
+            assert.equal(res.headers['www-authenticate'], 'Bearer');
+            assert.equal(channel.getConnectionCount(), 0);
+
+            res.on('data', function(chunk) {
+                body += chunk;
+            });
+
+            res.on('end', function() {
+                assert.equal(body, 'Log in first');
+                done();
+            });
+        });
+    });
+
+    it('sends a final event and a retry hint to all clients when shutting down', function(done) {
+        channel = new SseChannel({ retryTimeout: 3000 });
+
+        var first = fakeConnection(), second = fakeConnection();
+        channel.addClient(first.req, first.res);
+        channel.addClient(second.req, second.res);
+
+        channel.shutdown({ finalEvent: { event: 'bye', data: 'Restarting' } }, function() {
+            [first, second].forEach(function(conn) {
+                assert.ok(conn.res.finished, 'Response should be ended');
+                assert.ok(/event: bye\ndata: Restarting\n\nretry: 3000\n$/.test(conn.res.getBody()));
+            });
+
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+    });
+
+    it('refuses new clients while shutting down', function(done) {
+        channel = new SseChannel({ retryTimeout: 2500 });
+        channel.shutdown();
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res, function(err) {
+            assert.equal(err.status, 503);
+            assert.equal(err.headers['Retry-After'], 3);
+            assert.equal(conn.res.statusCode, 503);
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+    });
+
+    it('refuses clients that finish authorizing after shutting down has started', function(done) {
+        channel = new SseChannel({
+            authorize: function(req, callback) {
+                setTimeout(callback, 20, null, { id: 'espen' });
+            }
+        });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res, function(err) {
+            assert.equal(err.status, 503);
+            assert.equal(err.reason, 'shutting-down');
+            assert.equal(conn.res.statusCode, 503);
+            assert.ok(conn.res.finished);
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+
+        channel.shutdown();
+    });
+
+    it('resolves the shutdown promise and emits "close" once', function(done) {
+        channel = new SseChannel({});
+
+        var closed = 0;
+        channel.on('close', function() {
+            closed++;
+        });
+
+        var promise = channel.shutdown();
+        assert.strictEqual(channel.shutdown(), promise, 'Shutting down twice should give the same promise');
+
+        promise.then(function() {
+            assert.equal(closed, 1);
+            done();
+        });
+    });
+
+    it('destroys connections that have not closed when the shutdown times out', function(done) {
+        channel = new SseChannel({});
+
+        var conn = fakeConnection(), destroyed = false;
+        conn.res.end = function() {
+            conn.res.finished = true;
+        };
+
+        conn.res.destroy = function() {
+            destroyed = true;
+        };
+
+        channel.addClient(conn.req, conn.res);
+        channel.shutdown({ timeout: 20 }).then(function() {
+            assert.ok(destroyed, 'Connection should have been destroyed');
+            done();
+        });
+    });
+
+    it('rejects clients over the connection limit with a 503', function() {
+        channel = new SseChannel({ maxConnections: 2, retryTimeout: 2000 });
+
+        var rejected = [], errors = [];
+        channel.on('rejected', function(chan, req, err) {
+            rejected.push(err.reason);
+        });
+
+        var conns = [fakeConnection(), fakeConnection(), fakeConnection()];
+        conns.forEach(function(conn) {
+            channel.addClient(conn.req, conn.res, function(err) {
+                errors.push(err ? err.reason : null);
+            });
+        });
+
+        assert.deepEqual(errors, [null, null, 'max-connections']);
+        assert.deepEqual(rejected, ['max-connections']);
+        assert.equal(conns[2].res.statusCode, 503);
+        assert.equal(channel.getConnectionCount(), 2);
+
+        conns[0].res.end();
+        channel.addClient(conns[2].req, conns[2].res);
+        assert.equal(channel.getConnectionCount(), 2);
+    });
+
+    it('can limit the number of connections per IP', function() {
+        channel = new SseChannel({ maxConnectionsPerClient: 1 });
+
+        var errors = [];
+        ['10.0.0.1', '10.0.0.2', '10.0.0.1'].forEach(function(ip) {
+            var conn = fakeConnection();
+            conn.req.socket.remoteAddress = ip;
+            channel.addClient(conn.req, conn.res, function(err) {
+                errors.push(err ? err.reason : null);
+            });
+        });
+
+        assert.deepEqual(errors, [null, null, 'max-connections-per-client']);
+    });
+
+    it('can evict the oldest connections of an identity to make room for new ones', function() {
+        channel = new SseChannel({
+            maxConnectionsPerClient: 2,
+            clientKey: 'identity',
+            overflowPolicy: 'evict',
+            authorize: function(req, callback) {
+                callback(null, { id: req.headers['x-user'] });
+            }
+        });
+
+        var evicted = [];
+        channel.on('evicted', function(chan, client, reason) {
+            evicted.push(reason);
+        });
+
+        var conns = ['espen', 'espen', 'rexxars', 'espen'].map(function(user) {
+            var conn = fakeConnection('/', { 'x-user': user });
+            channel.addClient(conn.req, conn.res);
+            return conn;
+        });
+
+        assert.deepEqual(evicted, ['max-connections-per-client']);
+        assert.ok(conns[0].res.finished, 'Oldest connection should be closed');
+        assert.ok(/retry: 5000\n$/.test(conns[0].res.getBody()));
+        assert.ok(!conns[1].res.finished && !conns[2].res.finished && !conns[3].res.finished);
+        assert.equal(channel.getConnectionCount(), 3);
+    });
+
+    it('keeps statistics for the channel and its clients', function() {
+        channel = new SseChannel({ maxConnections: 2 });
+        clearInterval(channel.timer);
+
+        channel.send({ id: 1, data: 'First' });
+        channel.send({ id: 2, data: 'Second' });
+
+        var conns = [
+            fakeConnection('/', { 'last-event-id': '1' }),
+            fakeConnection(),
+            fakeConnection()
+        ];
+
+        conns.forEach(function(conn) {
+            channel.addClient(conn.req, conn.res);
+        });
+
+        conns[1].res.accepting = false;
+        channel.send('Third');
+        channel.ping();
+        conns[0].res.end();
+
+        var stats = channel.getStats();
+        assert.equal(stats.connections, 1);
+        assert.equal(stats.messagesSent, 3);
+        assert.equal(stats.pingsSent, 1);
+        assert.equal(stats.historySize, 2);
+        assert.equal(stats.replays, 1);
+        assert.equal(stats.eventsReplayed, 1);
+        assert.equal(stats.connects, 2);
+        assert.equal(stats.disconnects, 1);
+        assert.equal(stats.rejections, 1);
+
+        // The initial `:ok` is written before the client is set up
+        var written = conns[0].res.getBody() + conns[1].res.getBody();
+        assert.equal(stats.bytesSent, written.replace(/:ok\n\n/g, '').length);
+
+        assert.equal(stats.clients.length, 1);
+        assert.equal(stats.clients[0].bufferedBytes, 'data: Third\n\n'.length + ':\n'.length);
+    });
+
+    it('answers long-polling requests with missed events right away', function(done) {
+        channel = new SseChannel({ history: [{ id: 1, data: 'First' }, { id: 2, data: 'Second' }] });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection('/?evs_poll=1', { 'last-event-id': '1' });
+        channel.addClient(conn.req, conn.res);
+
+        process.nextTick(function() {
+            assert.ok(conn.res.finished, 'Response should be ended');
+            assert.ok(/id: 2\ndata: Second\n\n$/.test(conn.res.getBody()));
+            assert.equal(channel.getConnectionCount(), 0);
+            done();
+        });
+    });
+
+    it('holds long-polling requests until the next events are sent', function(done) {
+        initServer({ pollTimeout: 5000 });
+
+        channel.on('connect', function() {
+            channel.send({ id: 3, data: 'Third' });
+            channel.send({ id: 4, data: 'Fourth' });
+        });
+
+        http.get(host + path + '?evs_poll=1', function(res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                body += chunk;
+            });
+
+            res.on('end', function() {
+                assert.ok(body.indexOf('id: 3\ndata: Third\n\n') > -1);
+                assert.ok(body.indexOf('id: 4\ndata: Fourth\n\n') > -1);
+                done();
+            });
+        });
+    });
+
+    it('tells long-polling clients where to resume when no events are sent in time', function(done) {
+        channel = new SseChannel({ pollTimeout: 10 });
+        clearInterval(channel.timer);
+
+        var conn = fakeConnection('/', { 'last-event-id': '5' });
+        channel.addClient(conn.req, conn.res, { poll: true });
+        channel.ping();
+
+        setTimeout(function() {
+            assert.ok(conn.res.finished, 'Response should be ended');
+            assert.ok(/:\nid: 5\n\n$/.test(conn.res.getBody()));
+            done();
+        }, 30);
+    });
+
     it('provides a correct number of connections on channel', function(done) {
         initServer();
 
@@ -486,7 +1391,7 @@ describe('sse-channel', function() {
 
         var msg = 'Heard about this project called Imbo(.io)?';
         channel.on('connect', function() {
-            channel.send({ data: new Buffer(msg) });
+            channel.send({ data: Buffer.from(msg) });
         });
 
         es = new EventSource(host + path);
@@ -510,6 +1415,153 @@ describe('sse-channel', function() {
         };
     });
 
+    it('can serialize data using a named serializer', function() {
+        channel = new SseChannel({ serializer: 'base64' });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+        channel.send({ data: Buffer.from('Foo') });
+
+        assert.ok(conn.res.getBody().indexOf('data: Rm9v\n\n') > -1);
+    });
+
+    it('can serialize data using a custom function', function() {
+        channel = new SseChannel({
+            serializer: function(data, msg) {
+                return msg.event + ':' + data.toUpperCase();
+            }
+        });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+        channel.send({ event: 'greeting', data: 'hello\nthere' });
+
+        assert.ok(conn.res.getBody().indexOf('data: greeting:HELLO\ndata: THERE\n\n') > -1);
+    });
+
+    it('can use different serializers for specific events', function() {
+        channel = new SseChannel({
+            serializer: 'json',
+            serializers: { raw: 'string' },
+            history: [{ id: 1, event: 'raw', data: 'Old' }, { id: 2, data: 'Older' }]
+        });
+
+        var conn = fakeConnection('/', { 'last-event-id': '0' });
+        channel.addClient(conn.req, conn.res);
+        channel.send({ event: 'raw', data: 'Raw' });
+        channel.send({ data: { foo: 'bar' } });
+
+        var body = conn.res.getBody();
+        assert.ok(body.indexOf('event: raw\nid: 1\ndata: Old\n\n') > -1, 'History should use event serializer');
+        assert.ok(body.indexOf('id: 2\ndata: "Older"\n\n') > -1, 'History should use default serializer');
+        assert.ok(body.indexOf('event: raw\ndata: Raw\n\n') > -1);
+        assert.ok(body.indexOf('data: {"foo":"bar"}\n\n') > -1);
+    });
+
+    it('throws on unknown serializers', function() {
+        assert.throws(function() {
+            channel = new SseChannel({ serializer: 'xml' });
+        }, /Unknown serializer "xml"/);
+    });
+
+    it('rejects messages failing their schema in strict mode', function() {
+        channel = new SseChannel({
+            schemas: {
+                price: {
+                    type: 'object',
+                    required: ['amount'],
+                    properties: { amount: { type: 'number' } }
+                }
+            }
+        });
+
+        var invalid = [];
+        channel.on('invalid-message', function(chan, msg, err) {
+            assert.equal(chan, channel);
+            invalid.push({ msg: msg, err: err });
+        });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        var msg = { id: 1, event: 'price', data: { amount: '13.37' } };
+        assert.throws(function() {
+            channel.send(msg);
+        }, /Invalid "price"-message: data\/amount must be number/);
+
+        channel.send({ id: 2, event: 'price', data: { amount: 13.37 } });
+        channel.send({ id: 3, event: 'other', data: 'Not validated' });
+
+        assert.equal(invalid.length, 1);
+        assert.equal(invalid[0].msg, msg);
+        assert.equal(invalid[0].err.event, 'price');
+
+        var body = conn.res.getBody();
+        assert.equal(body.indexOf('id: 1\n'), -1, 'Invalid message should not be sent');
+        assert.ok(body.indexOf('id: 2\n') > -1);
+        assert.ok(body.indexOf('id: 3\n') > -1);
+
+        // Nor should it end up in the history
+        conn = fakeConnection('/', { 'last-event-id': '0' });
+        channel.addClient(conn.req, conn.res);
+        assert.equal(conn.res.getBody().indexOf('id: 1\n'), -1);
+    });
+
+    it('throws on unknown validation modes', function() {
+        assert.throws(function() {
+            channel = new SseChannel({ validation: 'strcit' });
+        }, /Unknown validation mode "strcit"/);
+    });
+
+    it('compiles schemas separately for each channel', function() {
+        var price = function(type) {
+            return { $id: 'price', type: 'object', properties: { amount: { type: type } } };
+        };
+
+        channel = new SseChannel({ schemas: { price: price('number') } });
+        var other = new SseChannel({ schemas: { price: price('string') } });
+        clearInterval(other.timer);
+
+        channel.send({ event: 'price', data: { amount: 13.37 } });
+        other.send({ event: 'price', data: { amount: '13.37' } });
+
+        // Replacing a schema lets another one with the same ID be used
+        channel.setSchema('price', price('string'));
+        channel.send({ event: 'price', data: { amount: '13.37' } });
+
+        // Channels without JSON Schemas don't need Ajv
+        var functions = new SseChannel({ schemas: { message: _.isString } });
+        clearInterval(functions.timer);
+        assert.equal(functions.ajv, null);
+    });
+
+    it('reports messages failing validation in lenient mode, sending them anyway', function() {
+        channel = new SseChannel({ validation: 'lenient' });
+        channel.setSchema('message', function(data) {
+            if (data.indexOf('typo') > -1) {
+                throw new Error('contains a typo');
+            }
+        });
+
+        var invalid = [];
+        channel.on('invalid-message', function(chan, msg, err) {
+            invalid.push(err.message);
+        });
+
+        var conn = fakeConnection();
+        channel.addClient(conn.req, conn.res);
+
+        channel.send('Has a typo');
+        channel.send({ data: 'Fine' });
+
+        assert.deepEqual(invalid, ['Invalid "message"-message: contains a typo']);
+        assert.ok(conn.res.getBody().indexOf('data: Has a typo\n') > -1);
+
+        channel.setSchema('message', null);
+        channel.send('Another typo');
+        assert.equal(invalid.length, 1);
+    });
+
     it('handles multi-line strings properly', function(done) {
         initServer();
 
@@ -0,0 +1,175 @@
+/* global afterEach, beforeEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var SseChannel = require('../');
+var SseClient = require('../lib/sse-client');
+var fakeConnection = require('./util/fake-connection');
+
+describe('sse-client', function() {
+    var channel;
+
+    beforeEach(function() {
+        channel = new SseChannel({});
+    });
+
+    afterEach(function() {
+        clearInterval(channel.timer);
+    });
+
+    function connect(path, opts) {
+        var conn = fakeConnection(path), client;
+        channel.once('connect', function(chan, req, res, connected) {
+            client = connected;
+        });
+
+        channel.addClient(conn.req, conn.res, opts);
+        return client;
+    }
+
+    function received(client, text) {
+        return client.response.getBody().indexOf(text) > -1;
+    }
+
+    it('is created for each connection', function() {
+        var before = Date.now();
+        var client = connect('/?lastEventId=1337');
+
+        assert.ok(client instanceof SseClient);
+        assert.equal(typeof client.id, 'string');
+        assert.equal(client.request.url, '/?lastEventId=1337');
+        assert.equal(client.lastEventId, '1337');
+        assert.ok(client.connectedAt.getTime() >= before);
+        assert.deepEqual(client.metadata, {});
+        assert.notEqual(connect().id, client.id);
+    });
+
+    it('can be looked up by ID', function() {
+        var first = connect(), second = connect();
+
+        assert.strictEqual(channel.getClient(first.id), first);
+        assert.strictEqual(channel.getClient(second.id), second);
+        assert.deepEqual(channel.getClients(), [first, second]);
+    });
+
+    it('can be sent private messages', function() {
+        var first = connect(), second = connect();
+
+        first.send({ id: 1, data: 'Private' });
+        channel.send({ data: 'Public' }, [second]);
+
+        assert.ok(first.response.getBody().indexOf('data: Private\n\n') > -1);
+        assert.equal(second.response.getBody().indexOf('Private'), -1);
+        assert.ok(second.response.getBody().indexOf('data: Public\n\n') > -1);
+        assert.equal(first.response.getBody().indexOf('Public'), -1);
+
+        channel.historyStore.since(0, function(err, entries) {
+            assert.equal(entries.length, 0, 'Private messages should not be added to history');
+        });
+    });
+
+    it('can be sent comments', function() {
+        var client = connect();
+        client.comment('Hello\nthere');
+
+        assert.ok(/: Hello\n: there\n$/.test(client.response.getBody()));
+    });
+
+    it('keeps track of bytes and messages sent', function() {
+        var client = connect();
+        var bytes = client.bytesSent;
+
+        channel.send('Hello');
+        channel.send({ event: 'foo', data: 'bar' });
+        channel.ping();
+
+        assert.equal(client.messagesSent, 2);
+        assert.equal(client.bytesSent - bytes, Buffer.byteLength('data: Hello\n\nevent: foo\ndata: bar\n\n:\n'));
+    });
+
+    it('can be closed', function() {
+        var client = connect(), disconnected;
+        channel.on('disconnect', function(chan, res, client) {
+            disconnected = client;
+        });
+
+        client.close();
+
+        assert.ok(client.response.finished);
+        assert.strictEqual(disconnected, client);
+        assert.equal(channel.getClient(client.id), undefined);
+        assert.equal(channel.getConnectionCount(), 0);
+    });
+
+    it('can be targeted by ID', function() {
+        var first = connect(), second = connect(), third = connect();
+
+        channel.send({ data: 'For first' }, { to: first.id });
+        channel.send({ data: 'For second and third' }, { to: [second.id, third.id] });
+
+        assert.ok(received(first, 'For first'));
+        assert.ok(!received(first, 'For second'));
+        assert.ok(received(second, 'For second and third'));
+        assert.ok(received(third, 'For second and third'));
+        assert.ok(!received(third, 'For first'));
+    });
+
+    it('can be targeted by tags given when added, or later', function() {
+        var admin = connect('/', { tags: ['admin'] }), user = connect(), later = connect();
+        assert.ok(admin.hasTag('admin'));
+
+        later.addTag('admin');
+        channel.send({ data: 'For admins' }, { tag: 'admin' });
+        later.removeTag('admin');
+        channel.send({ data: 'Second for admins' }, { tag: 'admin' });
+
+        assert.ok(received(admin, 'For admins'));
+        assert.ok(received(admin, 'Second for admins'));
+        assert.ok(received(later, 'For admins'));
+        assert.ok(!received(later, 'Second for admins'));
+        assert.ok(!received(user, 'For admins'));
+    });
+
+    it('can be targeted by a predicate', function() {
+        var first = connect(), second = connect();
+        second.metadata.room = 'lobby';
+
+        channel.send({ data: 'In the lobby' }, {
+            where: function(client) {
+                return client.metadata.room === 'lobby';
+            }
+        });
+
+        assert.ok(!received(first, 'In the lobby'));
+        assert.ok(received(second, 'In the lobby'));
+    });
+
+    it('only receives targeted messages from history if they are targeted', function() {
+        channel.send({ id: 1, data: 'Not in history' }, { tag: 'admin' });
+        channel.send({ id: 2, data: 'For admins' }, { tag: 'admin', history: true });
+        channel.send({ id: 3, data: 'For everyone' });
+
+        var admin = connect('/?lastEventId=0', { tags: ['admin'] });
+        var user = connect('/?lastEventId=0');
+
+        assert.ok(!received(admin, 'Not in history'));
+        assert.ok(received(admin, 'For admins'));
+        assert.ok(received(admin, 'For everyone'));
+        assert.ok(!received(user, 'For admins'));
+        assert.ok(received(user, 'For everyone'));
+    });
+
+    it('does not receive messages from history which lost their predicate', function() {
+        // Simulate a history store which serializes the entries
+        var since = channel.historyStore.since;
+        channel.historyStore.since = function(lastId, callback) {
+            since.call(this, lastId, function(err, entries) {
+                callback(err, JSON.parse(JSON.stringify(entries)));
+            });
+        };
+
+        channel.send({ id: 1, data: 'For everyone' }, { where: function() { return true; }, history: true });
+
+        assert.ok(!received(connect('/?lastEventId=0'), 'For everyone'));
+    });
+});
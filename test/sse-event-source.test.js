@@ -0,0 +1,257 @@
+/* global afterEach, describe, it */
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var url = require('url');
+var SseChannel = require('../');
+var SseEventSource = SseChannel.SseEventSource;
+
+describe('sse-event-source', function() {
+    var port = process.env.TESTING_PORT || 6775;
+    var host = 'http://localhost:' + port;
+    var server, channel, es;
+
+    function initServer(handler) {
+        server = http.createServer(handler).listen(port, '127.0.0.1');
+    }
+
+    function initChannel(opts, onRequest) {
+        channel = new SseChannel(opts);
+        initServer(function(req, res) {
+            if (onRequest) {
+                onRequest(req);
+            }
+
+            channel.addClient(req, res);
+        });
+    }
+
+    afterEach(function(done) {
+        if (es) {
+            es.close();
+        }
+
+        if (channel) {
+            channel.close();
+            clearInterval(channel.timer);
+            channel = null;
+        }
+
+        server.close(done);
+    });
+
+    it('emits events by name, and assigned handlers', function(done) {
+        initChannel({});
+        channel.on('connect', function() {
+            channel.send({ event: 'greeting', data: 'Hello' });
+            channel.send({ id: 1, data: 'World' });
+        });
+
+        es = new SseEventSource(host + '/sse');
+
+        var opened = false;
+        es.onopen = function() {
+            opened = true;
+            assert.equal(es.readyState, SseEventSource.OPEN);
+        };
+
+        es.addEventListener('greeting', function(e) {
+            assert.ok(opened);
+            assert.equal(e.data, 'Hello');
+
+            es.onmessage = function(msg) {
+                assert.deepEqual(msg, { type: 'message', data: 'World', lastEventId: '1' });
+                assert.equal(es.lastEventId, '1');
+                done();
+            };
+        });
+    });
+
+    it('reconnects using the retry timeout, resuming from the last event', function(done) {
+        var requests = [];
+        initChannel({ retryTimeout: 50 }, function(req) {
+            requests.push(req);
+        });
+
+        channel.once('connect', function() {
+            channel.send({ id: 1, data: 'First' });
+            channel.send({ id: 2, data: 'Second' });
+        });
+
+        es = new SseEventSource(host + '/sse?foo=bar', { events: ['message', 'sys.*'] });
+        es.once('reconnecting', function(delay) {
+            assert.equal(delay, 50);
+            channel.send({ id: 3, data: 'Third' });
+        });
+
+        var received = [];
+        es.onmessage = function(e) {
+            received.push(e.data);
+
+            if (e.data === 'Second') {
+                channel.close();
+            } else if (e.data === 'Third') {
+                assert.deepEqual(received, ['First', 'Second', 'Third']);
+                assert.equal(requests.length, 2);
+
+                var query = url.parse(requests[1].url, true).query;
+                assert.equal(requests[1].headers['last-event-id'], '2');
+                assert.equal(query.evs_last_event_id, '2');
+                assert.equal(query.events, 'message,sys.*');
+                assert.equal(query.foo, 'bar');
+                done();
+            }
+        };
+    });
+
+    it('backs off exponentially while the server fails', function(done) {
+        var attempts = 0;
+        initServer(function(req, res) {
+            if (++attempts <= 3) {
+                res.writeHead(500);
+                return res.end();
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end('data: Finally\n\n');
+        });
+
+        var delays = [], errors = [];
+        es = new SseEventSource(host + '/sse', { retry: 10, maxRetry: 30 });
+        es.on('reconnecting', function(delay) {
+            delays.push(delay);
+        });
+
+        es.on('error', function(err) {
+            errors.push(err.status);
+        });
+
+        es.onmessage = function(e) {
+            assert.equal(e.data, 'Finally');
+            assert.deepEqual(delays, [10, 20, 30]);
+            assert.deepEqual(errors, [500, 500, 500]);
+            done();
+        };
+    });
+
+    it('gives up on responses that are not event streams', function(done) {
+        initServer(function(req, res) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        });
+
+        es = new SseEventSource(host + '/sse');
+        es.onerror = function(err) {
+            assert.equal(err.status, 404);
+            assert.equal(es.readyState, SseEventSource.CLOSED);
+            done();
+        };
+    });
+
+    it('keeps events from the server apart from its own events', function(done) {
+        initChannel({});
+        channel.on('connect', function() {
+            channel.send({ event: 'close', data: 'Not closed' });
+            channel.send({ event: 'error', data: 'Not an error' });
+            channel.send({ event: 'open', data: 'Not opened' });
+            channel.send({ event: 'done', data: 'Done' });
+        });
+
+        es = new SseEventSource(host + '/sse');
+
+        var opened = 0, received = [];
+        es.on('open', function() {
+            opened++;
+        });
+
+        es.on('close', function() {
+            done(new Error('Should not be closed by an event from the server'));
+        });
+
+        es.onerror = function() {
+            done(new Error('Should not be told about an error by an event from the server'));
+        };
+
+        ['close', 'error', 'open'].forEach(function(type) {
+            es.addEventListener(type, function(e) {
+                received.push(e.data);
+            });
+        });
+
+        es.addEventListener('done', function() {
+            assert.equal(opened, 1);
+            assert.deepEqual(received, ['Not closed', 'Not an error', 'Not opened']);
+            assert.equal(es.readyState, SseEventSource.OPEN);
+
+            // Closed when the test is cleaned up
+            es.removeAllListeners('close');
+            done();
+        });
+    });
+
+    it('stops when told to by a 204 response', function(done) {
+        initServer(function(req, res) {
+            res.writeHead(204);
+            res.end();
+        });
+
+        es = new SseEventSource(host + '/sse');
+        es.on('close', function() {
+            assert.equal(es.readyState, SseEventSource.CLOSED);
+            done();
+        });
+    });
+
+    it('can long-poll, reconnecting right away', function(done) {
+        var requests = [];
+        initChannel({}, function(req) {
+            requests.push(url.parse(req.url, true).query);
+        });
+
+        channel.on('connect', function() {
+            channel.send({ id: requests.length, data: 'Poll #' + requests.length });
+        });
+
+        es = new SseEventSource(host + '/sse', { poll: true });
+        es.on('reconnecting', function(delay) {
+            assert.equal(delay, 0);
+        });
+
+        es.onmessage = function(e) {
+            if (e.data !== 'Poll #2') {
+                return;
+            }
+
+            assert.equal(requests[0].evs_poll, '1');
+            assert.equal(requests[1].evs_last_event_id, '1');
+            done();
+        };
+    });
+
+    it('can be iterated asynchronously, closing when the iteration is ended', function(done) {
+        initChannel({});
+        channel.on('connect', function() {
+            channel.send('One');
+            channel.send({ event: 'two', data: 'Two' });
+        });
+
+        es = new SseEventSource(host + '/sse');
+
+        var iterator = es[Symbol.asyncIterator]();
+        iterator.next().then(function(result) {
+            assert.equal(result.value.data, 'One');
+            return iterator.next();
+        }).then(function(result) {
+            assert.deepEqual(result.value, { type: 'two', data: 'Two', lastEventId: '' });
+            return iterator['return']();
+        }).then(function(result) {
+            assert.equal(result.done, true);
+            assert.equal(es.readyState, SseEventSource.CLOSED);
+            return iterator.next();
+        }).then(function(result) {
+            assert.equal(result.done, true);
+            done();
+        })['catch'](done);
+    });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+var events = require('events');
+
+/**
+ * Stand-in for the `cluster`-module, for testing IPC between a master and forked workers
+ * without actually forking processes. Messages are delivered asynchronously and serialized
+ * as JSON, just like real IPC-messages.
+ */
+module.exports = function() {
+    var cluster = new events.EventEmitter();
+    cluster.isMaster = true;
+    cluster.workers = {};
+
+    var nextId = 1;
+    cluster.fork = function() {
+        var worker = new events.EventEmitter();
+        var proc = new events.EventEmitter();
+
+        worker.id = nextId++;
+        worker.send = ipc(proc);
+        proc.send = ipc(worker);
+
+        cluster.workers[worker.id] = worker;
+        cluster.emit('fork', worker);
+
+        // The cluster-module as seen from within the worker process
+        var workerCluster = new events.EventEmitter();
+        workerCluster.isMaster = false;
+        workerCluster.isWorker = true;
+
+        return { worker: worker, cluster: workerCluster, process: proc };
+    };
+
+    return cluster;
+};
+
+function ipc(target) {
+    return function(msg) {
+        var data = JSON.stringify(msg);
+        setImmediate(function() {
+            target.emit('message', JSON.parse(data));
+        });
+    };
+}
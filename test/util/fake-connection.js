@@ -0,0 +1,54 @@
+'use strict';
+
+var events = require('events');
+
+/**
+ * Create a request/response pair which can be added to a channel without a server. Writes to
+ * the response are recorded, and `res.accepting` decides what `write()` returns, which makes
+ * it possible to simulate clients that can't keep up.
+ *
+ * @param  {String} path    Path (including query string) of the request
+ * @param  {Object} headers Request headers
+ * @return {Object} Object containing the request (`req`) and the response (`res`)
+ */
+module.exports = function(path, headers) {
+    var req = new events.EventEmitter();
+    req.method = 'GET';
+    req.url = path || '/';
+    req.headers = headers || {};
+    req.socket = {
+        setTimeout: function() {},
+        setNoDelay: function() {},
+        setKeepAlive: function() {}
+    };
+
+    var res = new events.EventEmitter();
+    res.chunks = [];
+    res.accepting = true;
+    res.finished = false;
+    res.statusCode = 200;
+    res.setHeader = function() {};
+    res.writeHead = function(statusCode) {
+        res.statusCode = statusCode;
+    };
+
+    res.write = function(chunk) {
+        res.chunks.push(String(chunk));
+        return res.accepting;
+    };
+
+    res.end = function(chunk) {
+        if (chunk) {
+            res.chunks.push(String(chunk));
+        }
+
+        res.finished = true;
+        res.emit('finish');
+    };
+
+    res.getBody = function() {
+        return res.chunks.join('');
+    };
+
+    return { req: req, res: res };
+};